@@ -1,4 +1,4 @@
-const CACHE_VERSION = "adoptmatch-v4";
+const CACHE_VERSION = "adoptmatch-v8";
 const CORE_ASSETS = [
   "./",
   "./index.html",
@@ -10,11 +10,14 @@ const CORE_ASSETS = [
   "./src/styles/components.css",
   "./src/styles/screens.css",
   "./src/styles/animations.css",
+  "./src/styles/print.css",
 
   "./src/main.js",
 
   "./data/questions.v1.json",
   "./data/archetypes.v1.json",
+  "./data/rules.v1.json",
+  "./data/priorities.v1.json",
 
   "./assets/icons/app-icon-192.png",
   "./assets/icons/app-icon-512.png",
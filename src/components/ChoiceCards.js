@@ -156,10 +156,6 @@ function emojiForOption(id) {
     activity_medium: "⏱️",
     activity_high: "🚶",
     activity_very_high: "🏃",
-    alone_short: "🏠",
-    alone_medium: "🧑‍💻",
-    alone_long: "🕰️",
-    alone_very_long: "🕰️",
     walker: "🚶‍♂️",
     daycare: "🏫",
     friends_family: "🫶",
@@ -171,6 +167,8 @@ function emojiForOption(id) {
     guests_often: "🎉",
     cat: "🐈",
     dog: "🐕",
+    cat_dog_savvy: "🐈",
+    cat_dog_new: "⚠️",
     barking: "🔊",
     shedding: "🧹",
     grooming: "🪥",
@@ -0,0 +1,116 @@
+/* ==========================================================================
+   NumberInput.js — AdoptMatch
+   Free numeric answer (hours alone, monthly budget…) with unit + stepper.
+   The question's `bands` turn the number into traits; this only collects it.
+   ========================================================================== */
+
+/**
+ * Render a numeric input inside mountEl.
+ *
+ * @param {HTMLElement} mountEl
+ * @param {{
+ *   questionId: string,
+ *   min: number, max: number, step?: number,
+ *   unit?: string, placeholder?: string,
+ *   value: number | null,
+ *   onChange: (value: number | null) => void   // null while the field is empty/invalid
+ * }} props
+ */
+export function renderNumberInput(mountEl, props) {
+  const { questionId, unit, placeholder, onChange } = props;
+  const min = Number(props.min);
+  const max = Number(props.max);
+  const step = Number(props.step) || 1;
+  const value = Number.isFinite(props.value) ? props.value : null;
+
+  const inputId = `number-${escapeAttr(questionId)}`;
+  const errorId = `${inputId}-error`;
+
+  mountEl.innerHTML = `
+    <div class="number-input">
+      <div class="number-input-row">
+        <button class="number-step" type="button" data-step="-1" aria-label="Decrease">−</button>
+
+        <label class="number-field" for="${inputId}">
+          <input
+            id="${inputId}"
+            type="number"
+            inputmode="decimal"
+            min="${min}"
+            max="${max}"
+            step="${step}"
+            value="${value ?? ""}"
+            placeholder="${escapeAttr(placeholder || "")}"
+            aria-describedby="${errorId}"
+          />
+          ${unit ? `<span class="number-unit">${escapeHtml(unit)}</span>` : ""}
+        </label>
+
+        <button class="number-step" type="button" data-step="1" aria-label="Increase">+</button>
+      </div>
+
+      <p class="number-error" id="${errorId}" aria-live="polite"></p>
+    </div>
+  `;
+
+  const input = mountEl.querySelector("input");
+  const error = mountEl.querySelector(".number-error");
+  if (!input) return;
+
+  const commit = () => {
+    const v = parseValue(input.value, min, max);
+    const invalid = input.value !== "" && v === null;
+
+    input.setAttribute("aria-invalid", invalid ? "true" : "false");
+    if (error) error.textContent = invalid ? `Enter a number from ${min} to ${max}` : "";
+
+    onChange(v);
+  };
+
+  input.addEventListener("input", commit);
+
+  mountEl.querySelectorAll("[data-step]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const dir = Number(btn.getAttribute("data-step"));
+      const current = parseValue(input.value, -Infinity, Infinity) ?? min;
+      input.value = String(clamp(roundTo(current + dir * step, step), min, max));
+      commit();
+    });
+  });
+}
+
+/**
+ * Parse a raw field value; null when empty, not a number or out of range.
+ */
+export function parseValue(raw, min, max) {
+  if (raw === "" || raw == null) return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < min || n > max) return null;
+  return n;
+}
+
+/* ==========================================================================
+   Helpers
+   ========================================================================== */
+
+function roundTo(n, step) {
+  const decimals = (String(step).split(".")[1] || "").length;
+  return Number(n.toFixed(decimals));
+}
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function escapeAttr(str) {
+  return String(str).replaceAll('"', "&quot;").replaceAll("'", "");
+}
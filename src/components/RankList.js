@@ -0,0 +1,238 @@
+/* ==========================================================================
+   RankList.js — AdoptMatch
+   Drag-to-rank list (most important first).
+   - Pointer: drag an item by its handle (touch + mouse)
+   - Keyboard: Space/Enter grabs, ↑/↓ moves, Space/Enter drops, Esc cancels
+   Moves are announced through a polite live region.
+   ========================================================================== */
+
+/**
+ * Render a rank list inside mountEl.
+ *
+ * @param {HTMLElement} mountEl
+ * @param {{
+ *   questionId: string,
+ *   options: Array<{id:string,label:string,subtitle?:string}>,
+ *   order: string[] | null,
+ *   onChange: (order: string[]) => void
+ * }} props
+ */
+export function renderRankList(mountEl, props) {
+  const { options, onChange } = props;
+  let order = normalizeOrder(props.order, options);
+
+  mountEl.innerHTML = `
+    <div class="rank-list-wrap">
+      <p class="visually-hidden" id="rankHelp">
+        Press Space to pick up an item, arrow keys to move it, Space to drop, Escape to cancel.
+      </p>
+      <ol class="rank-list" aria-describedby="rankHelp"></ol>
+      <div class="visually-hidden" aria-live="polite" data-rank-live></div>
+    </div>
+  `;
+
+  const list = mountEl.querySelector(".rank-list");
+  const live = mountEl.querySelector("[data-rank-live]");
+  if (!list) return;
+
+  const byId = new Map(options.map((o) => [o.id, o]));
+  let grabbed = null; // { id, from: string[] } while keyboard-grabbed
+
+  const announce = (msg) => {
+    if (live) live.textContent = msg;
+  };
+
+  const draw = (focusId) => {
+    list.innerHTML = order.map((id, i) => renderItem(byId.get(id), i, grabbed?.id === id)).join("");
+    if (focusId) list.querySelector(`[data-rank-id="${CSS.escape(focusId)}"]`)?.focus();
+  };
+
+  const commit = () => onChange([...order]);
+
+  const move = (id, delta) => {
+    const from = order.indexOf(id);
+    const to = clamp(from + delta, 0, order.length - 1);
+    if (from === to) return false;
+    order = moveItem(order, from, to);
+    return true;
+  };
+
+  draw();
+
+  /* ---------- Keyboard ---------- */
+
+  list.addEventListener("keydown", (e) => {
+    const item = e.target.closest?.("[data-rank-id]");
+    if (!item) return;
+    const id = item.getAttribute("data-rank-id");
+    const label = byId.get(id)?.label || id;
+
+    if (e.key === " " || e.key === "Enter") {
+      e.preventDefault();
+      if (grabbed) {
+        grabbed = null;
+        draw(id);
+        commit();
+        announce(`${label} dropped at position ${order.indexOf(id) + 1} of ${order.length}.`);
+      } else {
+        grabbed = { id, from: [...order] };
+        draw(id);
+        announce(`${label} grabbed. Position ${order.indexOf(id) + 1} of ${order.length}.`);
+      }
+      return;
+    }
+
+    if (e.key === "Escape" && grabbed) {
+      e.preventDefault();
+      e.stopPropagation();
+      order = grabbed.from;
+      grabbed = null;
+      draw(id);
+      announce(`Move cancelled. ${label} back at position ${order.indexOf(id) + 1}.`);
+      return;
+    }
+
+    if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const delta = e.key === "ArrowUp" ? -1 : 1;
+
+    if (grabbed) {
+      if (move(id, delta)) {
+        draw(id);
+        announce(`${label} moved to position ${order.indexOf(id) + 1} of ${order.length}.`);
+      }
+      return;
+    }
+
+    // Not grabbed: arrows just move focus
+    const next = order[clamp(order.indexOf(id) + delta, 0, order.length - 1)];
+    list.querySelector(`[data-rank-id="${CSS.escape(next)}"]`)?.focus();
+  });
+
+  // Losing focus mid-move keeps the new position
+  list.addEventListener("focusout", (e) => {
+    if (!grabbed || list.contains(e.relatedTarget)) return;
+    grabbed = null;
+    draw();
+    commit();
+  });
+
+  /* ---------- Pointer drag ---------- */
+
+  list.addEventListener("pointerdown", (e) => {
+    const handle = e.target.closest?.("[data-rank-handle]");
+    if (!handle) return;
+    const item = handle.closest("[data-rank-id]");
+    const id = item?.getAttribute("data-rank-id");
+    if (!id) return;
+
+    e.preventDefault();
+    handle.setPointerCapture?.(e.pointerId);
+    item.classList.add("is-dragging");
+
+    const onMove = (ev) => {
+      const to = indexAtY(list, ev.clientY);
+      const from = order.indexOf(id);
+      if (to === -1 || to === from) return;
+
+      order = moveItem(order, from, to);
+      draw();
+      list.querySelector(`[data-rank-id="${CSS.escape(id)}"]`)?.classList.add("is-dragging");
+    };
+
+    const onUp = () => {
+      handle.removeEventListener("pointermove", onMove);
+      handle.removeEventListener("pointerup", onUp);
+      handle.removeEventListener("pointercancel", onUp);
+      draw(id);
+      commit();
+      announce(`${byId.get(id)?.label || id} moved to position ${order.indexOf(id) + 1} of ${order.length}.`);
+      hapticTick();
+    };
+
+    handle.addEventListener("pointermove", onMove);
+    handle.addEventListener("pointerup", onUp);
+    handle.addEventListener("pointercancel", onUp);
+  });
+}
+
+/**
+ * Stored order if it is a complete ranking of the options, else option order.
+ * Unknown ids are dropped and missing ones appended, so a question edit
+ * never leaves the list short.
+ */
+export function normalizeOrder(order, options) {
+  const ids = (options || []).map((o) => o.id);
+  const kept = Array.isArray(order) ? order.filter((id) => ids.includes(id)) : [];
+  const uniq = Array.from(new Set(kept));
+  return [...uniq, ...ids.filter((id) => !uniq.includes(id))];
+}
+
+/* ==========================================================================
+   Render helpers
+   ========================================================================== */
+
+function renderItem(opt, index, isGrabbed) {
+  return `
+    <li
+      class="rank-item ${isGrabbed ? "is-grabbed" : ""}"
+      tabindex="0"
+      data-rank-id="${escapeAttr(opt.id)}"
+      aria-roledescription="sortable item"
+      aria-label="${escapeAttr(`${index + 1}. ${opt.label}`)}"
+      ${isGrabbed ? 'aria-grabbed="true"' : ""}
+    >
+      <span class="rank-pos" aria-hidden="true">${index + 1}</span>
+      <span class="rank-text">
+        <span class="rank-label">${escapeHtml(opt.label)}</span>
+        ${opt.subtitle ? `<span class="rank-subtitle">${escapeHtml(opt.subtitle)}</span>` : ""}
+      </span>
+      <span class="rank-handle" data-rank-handle aria-hidden="true">⋮⋮</span>
+    </li>
+  `;
+}
+
+/* ==========================================================================
+   Helpers
+   ========================================================================== */
+
+function indexAtY(list, y) {
+  const items = Array.from(list.querySelectorAll("[data-rank-id]"));
+  for (let i = 0; i < items.length; i++) {
+    const r = items[i].getBoundingClientRect();
+    if (y < r.top + r.height / 2) return i;
+  }
+  return items.length - 1;
+}
+
+function moveItem(arr, from, to) {
+  const next = [...arr];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function escapeAttr(str) {
+  return String(str).replaceAll('"', "&quot;").replaceAll("'", "");
+}
+
+function hapticTick() {
+  try {
+    if (navigator.vibrate) navigator.vibrate(10);
+  } catch (_) {}
+}
@@ -0,0 +1,106 @@
+/* ==========================================================================
+   SliderInput.js — AdoptMatch
+   0..4 slider for questions that map straight onto one trait.
+   Native range input, so arrows / Home / End / PageUp work out of the box.
+   ========================================================================== */
+
+/**
+ * Render a slider inside mountEl.
+ *
+ * @param {HTMLElement} mountEl
+ * @param {{
+ *   questionId: string,
+ *   min?: number, max?: number, step?: number,
+ *   labels?: {min?:string, max?:string},
+ *   valueLabels?: string[],
+ *   value: number | null,
+ *   onChange: (value: number) => void
+ * }} props
+ */
+export function renderSliderInput(mountEl, props) {
+  const { questionId, labels = {}, valueLabels = [], onChange } = props;
+  const min = num(props.min, 0);
+  const max = num(props.max, 4);
+  const step = num(props.step, 1);
+  const value = clamp(num(props.value, defaultSliderValue(props)), min, max);
+
+  const inputId = `slider-${escapeAttr(questionId)}`;
+
+  mountEl.innerHTML = `
+    <div class="slider-input">
+      <output class="slider-value" for="${inputId}" aria-live="polite">
+        ${escapeHtml(valueText(value, valueLabels, min))}
+      </output>
+
+      <input
+        class="slider-range"
+        id="${inputId}"
+        type="range"
+        min="${min}"
+        max="${max}"
+        step="${step}"
+        value="${value}"
+        aria-valuetext="${escapeAttr(valueText(value, valueLabels, min))}"
+      />
+
+      <div class="slider-ends" aria-hidden="true">
+        <span>${escapeHtml(labels.min || String(min))}</span>
+        <span>${escapeHtml(labels.max || String(max))}</span>
+      </div>
+    </div>
+  `;
+
+  const input = mountEl.querySelector(".slider-range");
+  const output = mountEl.querySelector(".slider-value");
+  if (!input) return;
+
+  input.addEventListener("input", () => {
+    const v = Number(input.value);
+    const text = valueText(v, valueLabels, min);
+    if (output) output.textContent = text;
+    input.setAttribute("aria-valuetext", text);
+    onChange(v);
+  });
+}
+
+/**
+ * Midpoint of the slider range — used when the adopter moves on without
+ * touching the slider.
+ */
+export function defaultSliderValue(props) {
+  const min = num(props?.min, 0);
+  const max = num(props?.max, 4);
+  const step = num(props?.step, 1);
+  return min + Math.round((max - min) / 2 / step) * step;
+}
+
+/* ==========================================================================
+   Helpers
+   ========================================================================== */
+
+function valueText(value, valueLabels, min) {
+  const label = valueLabels[Math.round(value - min)];
+  return label || String(value);
+}
+
+function num(v, fallback) {
+  const n = Number(v);
+  return v == null || v === "" || !Number.isFinite(n) ? fallback : n;
+}
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function escapeAttr(str) {
+  return String(str).replaceAll('"', "&quot;").replaceAll("'", "");
+}
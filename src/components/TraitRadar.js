@@ -0,0 +1,238 @@
+/* ==========================================================================
+   TraitRadar.js — AdoptMatch
+   Radar (spider) chart of the adopter's T1–T10 targets against one
+   archetype, as inline SVG. Axes where the two are far apart are marked,
+   so the picture shows where a score was lost.
+
+   Static markup (nothing to wire), so screens drop it into their templates.
+   Screen readers get a summary on the SVG plus a visually hidden table of
+   the values; the draw-in animation is off under prefers-reduced-motion.
+   ========================================================================== */
+
+import { traitRange } from "../match/archetypes.js";
+import { TRAITS, TRAIT_LABELS } from "../match/scoring.js";
+
+// Axis labels; TRAIT_LABELS are too long to sit around a small chart
+const AXIS_LABELS = {
+  T1: "Exercise",
+  T2: "Handling",
+  T3: "Guests",
+  T4: "Other pets",
+  T5: "Alone time",
+  T6: "Noise",
+  T7: "Shedding",
+  T8: "Grooming",
+  T9: "Apartment",
+  T10: "Kids",
+};
+
+// Chart radius in SVG units (trait 4 sits on the outer ring)
+const RADIUS = 100;
+
+// A trait this far from the dog's range (0..4 scale) is marked as a gap
+const GAP = 2;
+
+let _seq = 0;
+
+/**
+ * Radar chart markup.
+ *
+ * @param {{
+ *   archetype: { id: string, name: string, traits: object },
+ *   userTraits?: {[k:string]: number} | null,
+ *   uncertain?: string[],
+ *   size?: "sm" | "md",
+ *   showTable?: boolean
+ * }} props
+ *   userTraits - the adopter's targets; without them only the dog is drawn
+ *   uncertain  - traits the adopter was unsure about (drawn hollow)
+ *   size       - "sm" hides axis labels (result cards)
+ *   showTable  - include the screen-reader table (default true)
+ * @returns {string}
+ */
+export function renderTraitRadar({ archetype, userTraits = null, uncertain = [], size = "md", showTable = true }) {
+  const id = `radar-${++_seq}`;
+  const unsure = new Set(uncertain || []);
+
+  const rows = TRAITS.map((k, i) => {
+    const range = traitRange(archetype.traits?.[k]);
+    const user = userTraits ? clamp(Number(userTraits[k] ?? 2), 0, 4) : null;
+    const gap = user === null ? 0 : Math.max(range.min - user, user - range.max, 0);
+
+    return { key: k, angle: angleFor(i), range, user, gap, unsure: unsure.has(k) };
+  });
+
+  const gaps = rows.filter((r) => r.gap >= GAP);
+  const small = size === "sm";
+
+  return `
+    <figure class="trait-radar trait-radar--${small ? "sm" : "md"}">
+      <svg class="trait-radar-svg" viewBox="${small ? "-110 -110 220 220" : "-175 -125 350 250"}" role="img"
+        aria-labelledby="${id}-title ${id}-desc">
+        <title id="${id}-title">${escapeHtml(chartTitle(archetype, userTraits))}</title>
+        <desc id="${id}-desc">${escapeHtml(describeGaps(gaps, userTraits))}</desc>
+
+        ${renderGrid(rows, !small)}
+
+        <g class="trait-radar-plot">
+          <polygon class="trait-radar-dog" points="${points(rows.map((r) => [r.angle, mid(r.range)]))}" />
+          ${rows.filter((r) => r.range.max > r.range.min).map(renderRange).join("")}
+          ${
+            userTraits
+              ? `<polygon class="trait-radar-user" points="${points(rows.map((r) => [r.angle, r.user]))}" />
+                 ${rows.map(renderUserPoint).join("")}`
+              : ""
+          }
+        </g>
+      </svg>
+
+      ${
+        userTraits
+          ? `<figcaption class="trait-radar-legend" aria-hidden="true">
+              <span class="trait-radar-key trait-radar-key--user">You</span>
+              <span class="trait-radar-key trait-radar-key--dog">This dog</span>
+              ${gaps.length ? `<span class="trait-radar-key trait-radar-key--gap">Big gap</span>` : ""}
+            </figcaption>`
+          : ""
+      }
+
+      ${showTable ? renderTable(archetype, rows, !!userTraits) : ""}
+    </figure>
+  `;
+}
+
+/* ==========================================================================
+   Markup helpers
+   ========================================================================== */
+
+function renderGrid(rows, labels) {
+  const rings = [1, 2, 3, 4]
+    .map((v) => `<polygon class="trait-radar-ring" points="${points(rows.map((r) => [r.angle, v]))}" />`)
+    .join("");
+
+  const axes = rows
+    .map((r) => {
+      const [x, y] = toXY(r.angle, 4);
+      return `<line class="trait-radar-axis ${r.gap >= GAP ? "is-gap" : ""}" x1="0" y1="0" x2="${x}" y2="${y}" />`;
+    })
+    .join("");
+
+  const text = labels
+    ? rows
+        .map((r) => {
+          const [x, y] = toXY(r.angle, 4.5);
+          const anchor = Math.abs(x) < 10 ? "middle" : x > 0 ? "start" : "end";
+          return `<text class="trait-radar-label ${r.gap >= GAP ? "is-gap" : ""}" x="${x}" y="${y}"
+            text-anchor="${anchor}" dominant-baseline="middle">${escapeHtml(AXIS_LABELS[r.key] || r.key)}</text>`;
+        })
+        .join("")
+    : "";
+
+  return `<g class="trait-radar-grid" aria-hidden="true">${rings}${axes}${text}</g>`;
+}
+
+// Variable mixes: the span along the axis, the polygon runs through its middle
+function renderRange(r) {
+  const [x1, y1] = toXY(r.angle, r.range.min);
+  const [x2, y2] = toXY(r.angle, r.range.max);
+  return `<line class="trait-radar-range" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" />`;
+}
+
+function renderUserPoint(r) {
+  const [x, y] = toXY(r.angle, r.user);
+  const cls = ["trait-radar-point", r.unsure ? "is-unsure" : "", r.gap >= GAP ? "is-gap" : ""].join(" ");
+  return `<circle class="${cls}" cx="${x}" cy="${y}" r="${r.gap >= GAP ? 5 : 3.5}" />`;
+}
+
+function renderTable(archetype, rows, withUser) {
+  return `
+    <table class="visually-hidden">
+      <caption>${escapeHtml(`${archetype.name}: traits on a 0 to 4 scale`)}</caption>
+      <thead>
+        <tr>
+          <th scope="col">Trait</th>
+          ${withUser ? `<th scope="col">You</th>` : ""}
+          <th scope="col">This dog</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map(
+            (r) => `
+              <tr>
+                <th scope="row">${escapeHtml(TRAIT_LABELS[r.key] || r.key)}</th>
+                ${withUser ? `<td>${fmt(r.user)}${r.unsure ? " (not sure)" : ""}</td>` : ""}
+                <td>${r.range.max > r.range.min ? `${fmt(r.range.min)} to ${fmt(r.range.max)}` : fmt(r.range.min)}${
+                  r.gap >= GAP ? ", big gap" : ""
+                }</td>
+              </tr>
+            `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+function chartTitle(archetype, userTraits) {
+  return userTraits ? `Your answers compared with ${archetype.name}` : `${archetype.name} trait profile`;
+}
+
+// "Big gaps: Exercise needs (you 1, this dog 3)…"
+function describeGaps(gaps, userTraits) {
+  if (!userTraits) return "Trait values are listed in the table that follows.";
+  if (gaps.length === 0) return "No big gaps: every trait is less than 2 points from your answers.";
+
+  const parts = gaps.map((r) => {
+    const dog = r.range.max > r.range.min ? `${fmt(r.range.min)} to ${fmt(r.range.max)}` : fmt(r.range.min);
+    return `${TRAIT_LABELS[r.key] || r.key} (you ${fmt(r.user)}, this dog ${dog})`;
+  });
+  return `Big gaps: ${parts.join("; ")}.`;
+}
+
+/* ==========================================================================
+   Geometry
+   ========================================================================== */
+
+// First axis points straight up, then clockwise
+function angleFor(i) {
+  return (Math.PI * 2 * i) / TRAITS.length - Math.PI / 2;
+}
+
+function toXY(angle, value) {
+  const r = (value / 4) * RADIUS;
+  return [round1(Math.cos(angle) * r), round1(Math.sin(angle) * r)];
+}
+
+function points(pairs) {
+  return pairs.map(([angle, value]) => toXY(angle, value).join(",")).join(" ");
+}
+
+function mid(range) {
+  return (range.min + range.max) / 2;
+}
+
+/* ==========================================================================
+   Small utilities
+   ========================================================================== */
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function clamp(n, min, max) {
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : 2;
+}
+
+function fmt(n) {
+  return Number.isInteger(n) ? String(n) : Number(n).toFixed(1);
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
@@ -0,0 +1,154 @@
+/* ==========================================================================
+   data/migrations.js — AdoptMatch / Bonzo-app
+   Carries stored answers across question-set updates.
+
+   The questions file lists `migrations` (see data/questions.js); each step
+   renames questions and maps old option ids onto new answers. After
+   migrating, every answer is checked against the current questions, so
+   answers a data update made meaningless are caught even without a
+   migration entry.
+
+   Exports:
+   - migrateAnswers(answers, fromVersion, toVersion, migrations)
+   - findInvalidAnswers(answers, questions)
+   - isValidAnswer(question, answer)
+   ========================================================================== */
+
+import { getQuestions, getQuestionsMeta, UNSURE_ANSWER } from "./questions.js";
+
+/**
+ * Run the migration chain from the version the answers were saved under up
+ * to the current one. State saved before versions were recorded
+ * (fromVersion null) runs the whole chain — migrations are listed oldest
+ * first, and a step only touches ids that still have their old form.
+ *
+ * @param {{[questionId:string]: any}} answers
+ * @param {string|null} fromVersion
+ * @param {string|null} toVersion
+ * @param {Array} [migrations]
+ * @returns {{ answers: object, reset: string[], applied: string[] }}
+ *   reset   - questions whose old answer has no equivalent (ask again)
+ *   applied - steps that ran, e.g. ["1.0→1.1"]
+ */
+export function migrateAnswers(answers, fromVersion, toVersion, migrations = getQuestionsMeta().migrations) {
+  const byFrom = new Map((migrations || []).map((m) => [m.from, m]));
+  let out = { ...(answers || {}) };
+  let reset = [];
+  const applied = [];
+
+  let version = fromVersion ?? migrations?.[0]?.from ?? null;
+  const seen = new Set();
+
+  while (version !== toVersion && byFrom.has(version) && !seen.has(version)) {
+    seen.add(version);
+    const m = byFrom.get(version);
+
+    ({ answers: out, reset } = applyMigration(out, reset, m));
+    applied.push(`${m.from}→${m.to}`);
+    version = m.to;
+  }
+
+  return { answers: out, reset, applied };
+}
+
+/**
+ * Answers that don't fit the current questions.
+ *
+ * @param {{[questionId:string]: any}} answers
+ * @param {Array} [questions]
+ * @returns {{ invalid: string[], orphaned: string[] }}
+ *   invalid  - question exists, answer doesn't fit it (ask again)
+ *   orphaned - question no longer exists (drop)
+ */
+export function findInvalidAnswers(answers, questions = getQuestions()) {
+  const invalid = [];
+  const orphaned = [];
+
+  for (const [qid, answer] of Object.entries(answers || {})) {
+    const q = (questions || []).find((x) => x.id === qid);
+    if (!q) orphaned.push(qid);
+    else if (!isValidAnswer(q, answer)) invalid.push(qid);
+  }
+
+  return { invalid, orphaned };
+}
+
+/**
+ * Does a stored answer fit the question as it is now?
+ * - single: a known option id
+ * - multi: known option ids only
+ * - ranking: every option exactly once
+ * - slider / numeric: a number within min..max
+ * - "not sure": only where allow_unsure is set
+ */
+export function isValidAnswer(question, answer) {
+  if (answer === UNSURE_ANSWER) return !!question.allow_unsure;
+
+  const ids = new Set((question.options || []).map((o) => o.id));
+
+  switch (question.type) {
+    case "single":
+      return typeof answer === "string" && ids.has(answer);
+    case "multi":
+      return Array.isArray(answer) && answer.every((id) => ids.has(id));
+    case "ranking":
+      return (
+        Array.isArray(answer) &&
+        answer.length === ids.size &&
+        new Set(answer).size === ids.size &&
+        answer.every((id) => ids.has(id))
+      );
+    case "slider":
+    case "numeric": {
+      const min = Number(question.min ?? 0);
+      const max = Number(question.max ?? 4);
+      return typeof answer === "number" && Number.isFinite(answer) && answer >= min && answer <= max;
+    }
+    default:
+      return false;
+  }
+}
+
+/* ==========================================================================
+   Internals
+   ========================================================================== */
+
+function applyMigration(answers, reset, m) {
+  const rename = (id) => m.questions?.[id] ?? id;
+
+  const out = {};
+  for (const [qid, answer] of Object.entries(answers)) out[rename(qid)] = answer;
+  const nextReset = new Set(reset.map(rename));
+
+  for (const [qid, map] of Object.entries(m.options || {})) {
+    if (out[qid] === undefined) continue;
+
+    const mapped = mapAnswer(out[qid], map || {});
+    if (mapped === null) {
+      delete out[qid];
+      nextReset.add(qid);
+    } else {
+      out[qid] = mapped;
+    }
+  }
+
+  return { answers: out, reset: Array.from(nextReset) };
+}
+
+/**
+ * Map one answer through an { oldOptionId: newAnswer | null } table.
+ * Arrays (multi / ranking) map item by item; an item without an equivalent
+ * voids the whole answer, since a partial selection would mean something else.
+ */
+function mapAnswer(answer, map) {
+  const has = (id) => Object.prototype.hasOwnProperty.call(map, id);
+
+  if (Array.isArray(answer)) {
+    const next = answer.map((id) => (has(id) ? map[id] : id));
+    if (next.some((id) => typeof id !== "string")) return null;
+    return Array.from(new Set(next));
+  }
+
+  if (typeof answer === "string" && has(answer)) return map[answer];
+  return answer;
+}
@@ -0,0 +1,167 @@
+/* ==========================================================================
+   data/profile_file.js — AdoptMatch / Bonzo-app
+   Profile export files: one saved profile (answers, priorities, notes) as a
+   versioned JSON file, to back it up or bring it to another device — e.g.
+   a counsellor's tablet at the shelter.
+
+   The file also records the data versions it was made under and a copy of
+   the computed results, for reading without the app. Results are never
+   imported: the receiving app computes its own from the answers.
+
+   File layout (PROFILE_FILE_VERSION 1):
+   {
+     "format": "adoptmatch-profile", "formatVersion": 1, "exportedAt": ISO date,
+     "versions": { "questions", "archetypes", "rules", "priorities" },
+     "profile": { "name", "createdAt", "notes", "quizMode", "answers", "priorities" },
+     "results": { "top": [{ id, name, score }], "avoid": [{ id, name, reasons }] } | null
+   }
+
+   Exports:
+   - PROFILE_FILE_FORMAT / PROFILE_FILE_VERSION
+   - buildProfileFile({ name, createdAt, data, report, versions })
+   - parseProfileFile(text, { questionsVersion, migrations })
+   - profileFileName(name, date)
+   ========================================================================== */
+
+import { getQuestionsMeta } from "./questions.js";
+
+export const PROFILE_FILE_FORMAT = "adoptmatch-profile";
+export const PROFILE_FILE_VERSION = 1;
+
+// Bigger files are not ours
+const MAX_FILE_SIZE = 200_000;
+
+/**
+ * Export file for one profile.
+ *
+ * @param {{
+ *   name: string, createdAt?: number,
+ *   data: { answers: object, priorities?: object, quizMode?: string, notes?: string, questionsVersion?: string },
+ *   report?: { top: Array, avoid: Array } | null,
+ *   versions?: { questions?: string, archetypes?: string, rules?: string, priorities?: string }
+ * }} input
+ *   report - computeMatches() output, when the profile has results
+ * @returns {object} JSON-serializable file contents
+ */
+export function buildProfileFile({ name, createdAt, data, report = null, versions = {} }) {
+  return {
+    format: PROFILE_FILE_FORMAT,
+    formatVersion: PROFILE_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    versions: {
+      questions: data.questionsVersion ?? versions.questions ?? null,
+      archetypes: versions.archetypes ?? null,
+      rules: versions.rules ?? null,
+      priorities: versions.priorities ?? null,
+    },
+    profile: {
+      name,
+      createdAt: createdAt ?? null,
+      notes: data.notes || "",
+      quizMode: data.quizMode || "full",
+      answers: data.answers || {},
+      priorities: data.priorities || {},
+    },
+    results: report
+      ? {
+          top: report.top.map((r) => ({ id: r.id, name: r.name, score: r.score })),
+          avoid: report.avoid.map((b) => ({ id: b.id, name: b.name, reasons: [...b.reasons] })),
+        }
+      : null,
+  };
+}
+
+/**
+ * Read an export file. Checks the format and versions only — answers are
+ * brought up to the loaded questions by the import itself (migrations,
+ * then anything that no longer fits is asked again).
+ *
+ * Throws an Error with a message fit for the adopter when the file can't
+ * be used.
+ *
+ * @param {string} text - file contents
+ * @param {{ questionsVersion?: string | null, migrations?: Array }} [ctx]
+ * @returns {{
+ *   name: string, createdAt: number | null,
+ *   data: { questionsVersion: string | null, answers: object, priorities: object, quizMode: string, notes: string }
+ * }}
+ */
+export function parseProfileFile(text, ctx = {}) {
+  const current = ctx.questionsVersion ?? getQuestionsMeta().version ?? null;
+  const migrations = ctx.migrations ?? getQuestionsMeta().migrations ?? [];
+
+  if (String(text || "").length > MAX_FILE_SIZE) {
+    throw new Error("This file is too large to be an AdoptMatch profile.");
+  }
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (_) {
+    throw new Error("This file isn’t readable — it should be a .json file exported from AdoptMatch.");
+  }
+
+  if (!isPlainObject(json) || json.format !== PROFILE_FILE_FORMAT) {
+    throw new Error("This isn’t an AdoptMatch profile file.");
+  }
+
+  const formatVersion = Number(json.formatVersion);
+  if (!Number.isInteger(formatVersion) || formatVersion < 1) {
+    throw new Error("This profile file is damaged (unknown file version).");
+  }
+  if (formatVersion > PROFILE_FILE_VERSION) {
+    throw new Error("This profile was exported by a newer version of AdoptMatch. Update the app, then import it again.");
+  }
+
+  const profile = json.profile;
+  if (!isPlainObject(profile) || !isPlainObject(profile.answers)) {
+    throw new Error("This profile file is damaged (no answers found).");
+  }
+
+  const questionsVersion = typeof json.versions?.questions === "string" ? json.versions.questions : null;
+  if (questionsVersion && current && questionsVersion !== current && !knownVersion(questionsVersion, migrations)) {
+    throw new Error(
+      `This profile was made with questions version ${questionsVersion}, which this app doesn’t know (it has ${current}). Update the app, then import it again.`
+    );
+  }
+
+  return {
+    name: typeof profile.name === "string" && profile.name.trim() ? profile.name : "Imported profile",
+    createdAt: Number.isFinite(profile.createdAt) ? profile.createdAt : null,
+    data: {
+      questionsVersion,
+      answers: profile.answers,
+      priorities: isPlainObject(profile.priorities) ? profile.priorities : {},
+      quizMode: typeof profile.quizMode === "string" ? profile.quizMode : "full",
+      notes: typeof profile.notes === "string" ? profile.notes : "",
+    },
+  };
+}
+
+/**
+ * "adoptmatch-our-family-2026-10-19.json"
+ */
+export function profileFileName(name, date = new Date()) {
+  const slug =
+    String(name || "")
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40) || "profile";
+  return `adoptmatch-${slug}-${date.toISOString().slice(0, 10)}.json`;
+}
+
+/* ==========================================================================
+   Internals
+   ========================================================================== */
+
+// Older question sets we can migrate from (or that predate versions)
+function knownVersion(version, migrations) {
+  return (migrations || []).some((m) => m.from === version || m.to === version);
+}
+
+function isPlainObject(v) {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
@@ -2,13 +2,71 @@
    data/questions.js — AdoptMatch / Bonzo-app
    Loads questions JSON from /data/questions.v1.json
    Exports:
+   - QUESTION_TYPES
+   - TRAIT_AGGREGATIONS
    - loadQuestions()
    - getQuestions()
    - getQuestionsMeta()
+   - getVisibleQuestions(answers, questions)
+   - isQuestionVisible(questionId, answers, questions)
+   - pruneHiddenAnswers(answers, questions)
+   - getProducibleFlags(questions, derivedFlags)
+   - questionTraits(question)
+   - labelForSection(section)
+   - describeAnswer(question, answer)
+   - UNSURE_ANSWER
+
+   Questions may declare `showIf` (see match/conditions.js) over answers to
+   EARLIER questions, e.g.
+   { "fact": "answers.other_pets", "op": "includes", "value": "cat" }
+
+   Flags come from data only: options (and numeric bands) list the `flags`
+   they emit, and top-level `derived_flags` add flags from conditions over
+   answers / traits / flags, e.g.
+   { "flag": "alone_without_support", "when": { ... } }
+
+   Questions with `allow_unsure: true` also accept UNSURE_ANSWER ("not sure"):
+   the traits that question drives are left neutral and marked uncertain.
+
+   Questions with `actionable: false` describe circumstances the adopter
+   can't realistically change (children at home, other pets…); unblocking
+   suggestions (match/counterfactual.js) never propose edits to them.
+
+   Top-level `migrations` map answers stored under an older `version` of
+   this file onto the current one (see data/migrations.js), e.g.
+   { "from": "1.0", "to": "1.1",
+     "questions": { "old_id": "new_id" },
+     "options": { "alone_time": { "alone_short": 2, "alone_dropped": null } } }
+   An option maps to a new option id, a number (slider / numeric) or null
+   (no equivalent: the question is asked again).
    ========================================================================== */
 
+import { evaluateCondition, validateCondition, collectFacts } from "../match/conditions.js";
+
+/**
+ * Question types:
+ * - single / multi: tap cards (ChoiceCards)
+ * - ranking: drag-to-rank list of options → answer is ordered option ids
+ * - slider: 0..4 value mapped straight to `trait` → answer is a number
+ * - numeric: free number mapped via `bands` → answer is a number
+ */
+export const QUESTION_TYPES = ["single", "multi", "ranking", "slider", "numeric"];
+const OPTION_TYPES = ["single", "multi", "ranking"];
+
+/**
+ * How several values for one trait combine:
+ * - per question (`aggregate`): options selected in a multi question
+ * - per trait (top-level `trait_aggregation`): answers from different questions
+ * Default is "override" (the later value wins).
+ */
+export const TRAIT_AGGREGATIONS = ["override", "min", "max", "average", "sum"];
+/** Answer stored for "Not sure yet" on questions with allow_unsure. */
+export const UNSURE_ANSWER = "not_sure";
+
+const TRAIT_KEYS = ["T1", "T2", "T3", "T4", "T5", "T6", "T7", "T8", "T9", "T10"];
+
 let _questions = [];
-let _meta = { version: null, description: null };
+let _meta = { version: null, description: null, traitAggregation: {}, derivedFlags: [], migrations: [] };
 
 /**
  * Load questions from the JSON file.
@@ -31,12 +89,18 @@ export async function loadQuestions() {
   _meta = {
     version: json.version ?? null,
     description: json.description ?? null,
+    traitAggregation: json.trait_aggregation ?? {},
+    derivedFlags: json.derived_flags ?? [],
+    migrations: json.migrations ?? [],
   };
 
   _questions = json.questions;
 
   // Basic sanity checks (helpful during development)
   validateQuestions(_questions);
+  validateTraitAggregation(_meta.traitAggregation);
+  validateDerivedFlags(_meta.derivedFlags);
+  validateMigrations(_meta.migrations, _questions);
 
   return _questions;
 }
@@ -55,6 +119,144 @@ export function getQuestionsMeta() {
   return _meta;
 }
 
+/**
+ * Questions the adopter should see for the given answers, in order.
+ * A question's showIf only sees answers to questions that are themselves
+ * visible, so hiding a question also hides anything that depended on it.
+ *
+ * @param {object} answers
+ * @param {Array} [questions]
+ * @returns {Array}
+ */
+export function getVisibleQuestions(answers, questions = _questions) {
+  return walkVisible(answers, questions).visible;
+}
+
+/**
+ * @param {string} questionId
+ * @param {object} answers
+ * @param {Array} [questions]
+ * @returns {boolean}
+ */
+export function isQuestionVisible(questionId, answers, questions = _questions) {
+  return getVisibleQuestions(answers, questions).some((q) => q.id === questionId);
+}
+
+/**
+ * Drop answers to hidden questions (e.g. stairs answer kept from before the
+ * adopter switched to "house"), so they never reach the profile.
+ *
+ * @param {object} answers
+ * @param {Array} [questions]
+ * @returns {object}
+ */
+export function pruneHiddenAnswers(answers, questions = _questions) {
+  return walkVisible(answers, questions).answers;
+}
+
+/**
+ * Every flag some answer could emit: option / band `flags` plus derived
+ * flags. Used to catch rules that test flags nothing produces.
+ *
+ * @param {Array} [questions]
+ * @param {Array} [derivedFlags]
+ * @returns {Set<string>}
+ */
+export function getProducibleFlags(questions = _questions, derivedFlags = _meta.derivedFlags) {
+  const out = new Set();
+
+  for (const q of questions || []) {
+    for (const src of [...(q.options || []), ...(q.bands || [])]) {
+      for (const f of src.flags || []) out.add(f);
+    }
+  }
+  for (const d of derivedFlags || []) out.add(d.flag);
+
+  return out;
+}
+
+/**
+ * Traits a question can set (from options, bands, slider or ranking traits).
+ *
+ * @param {object} question
+ * @returns {string[]}
+ */
+export function questionTraits(question) {
+  const out = new Set();
+  if (question?.trait) out.add(question.trait);
+
+  for (const src of [...(question?.options || []), ...(question?.bands || [])]) {
+    if (src.trait) out.add(src.trait);
+    for (const k of Object.keys(src.traits || {})) {
+      if (TRAIT_KEYS.includes(k)) out.add(k);
+    }
+  }
+
+  return TRAIT_KEYS.filter((k) => out.has(k));
+}
+
+/**
+ * Display label for a question's `section`.
+ * @param {string} section
+ * @returns {string}
+ */
+export function labelForSection(section) {
+  const map = {
+    home: "Home",
+    lifestyle: "Lifestyle",
+    work: "Workday",
+    household: "Household",
+    social: "Social",
+    experience: "Experience",
+    tolerance: "Tolerances",
+  };
+  return map[section] || "Quiz";
+}
+
+/**
+ * Plain-text answer for summaries (review screen, print pack):
+ * option labels, "1. … · 2. …" for rankings, value labels or value + unit
+ * for sliders / numbers.
+ * @param {object} question
+ * @param {any} answer
+ * @returns {string}
+ */
+export function describeAnswer(question, answer) {
+  if (answer === undefined || answer === null || answer === "") return "Not answered";
+  if (answer === UNSURE_ANSWER) return "Not sure yet";
+
+  const options = question?.options || [];
+
+  if (question?.type === "ranking" && Array.isArray(answer)) {
+    const label = (id) => options.find((o) => o.id === id)?.label || id;
+    return answer.map((id, i) => `${i + 1}. ${label(id)}`).join(" · ");
+  }
+
+  if (question?.type === "slider" || question?.type === "numeric") {
+    const named = question.value_labels?.[Math.round(Number(answer) - Number(question.min ?? 0))];
+    return named || `${answer}${question.unit ? ` ${question.unit}` : ""}`;
+  }
+
+  const ids = Array.isArray(answer) ? answer : [answer];
+  const picked = options.filter((o) => ids.includes(o.id));
+  if (picked.length === 0) return Array.isArray(answer) ? "Nothing selected" : String(answer);
+  return picked.map((o) => o.label).join(", ");
+}
+
+function walkVisible(answers, questions) {
+  const src = answers || {};
+  const visible = [];
+  const effective = {};
+
+  for (const q of questions || []) {
+    if (q.showIf && !evaluateCondition(q.showIf, { answers: effective })) continue;
+    visible.push(q);
+    if (src[q.id] !== undefined) effective[q.id] = src[q.id];
+  }
+
+  return { visible, answers: effective };
+}
+
 /* ==========================================================================
    Validation helpers
    ========================================================================== */
@@ -68,19 +270,204 @@ function validateQuestions(questions) {
     ids.add(q.id);
 
     if (!q.title) throw new Error(`Question ${q.id} missing title`);
-    if (!q.type || !["single", "multi"].includes(q.type)) {
+    if (!q.type || !QUESTION_TYPES.includes(q.type)) {
       throw new Error(`Question ${q.id} has invalid type: ${q.type}`);
     }
-    if (!Array.isArray(q.options) || q.options.length < 2) {
-      throw new Error(`Question ${q.id} must have at least 2 options`);
+
+    if (OPTION_TYPES.includes(q.type)) validateOptions(q);
+    if (q.type === "ranking") validateRanking(q);
+    if (q.type === "slider") validateSlider(q);
+    if (q.type === "numeric") validateNumeric(q);
+
+    if (q.aggregate != null && !TRAIT_AGGREGATIONS.includes(q.aggregate)) {
+      throw new Error(`Question ${q.id} has invalid aggregate: ${q.aggregate}`);
+    }
+
+    if (q.allow_unsure !== undefined && typeof q.allow_unsure !== "boolean") {
+      throw new Error(`Question ${q.id} allow_unsure must be true/false`);
+    }
+    if (q.allow_unsure && (q.options || []).some((o) => o.id === UNSURE_ANSWER)) {
+      throw new Error(`Question ${q.id} uses reserved option id '${UNSURE_ANSWER}'`);
+    }
+
+    if (q.actionable !== undefined && typeof q.actionable !== "boolean") {
+      throw new Error(`Question ${q.id} actionable must be true/false`);
+    }
+
+    if (q.showIf !== undefined) validateShowIf(q, questions);
+  }
+}
+
+function validateTraitAggregation(map) {
+  for (const [trait, strategy] of Object.entries(map || {})) {
+    if (!TRAIT_KEYS.includes(trait)) throw new Error(`trait_aggregation has unknown trait ${trait}`);
+    if (!TRAIT_AGGREGATIONS.includes(strategy)) {
+      throw new Error(`trait_aggregation for ${trait} is invalid: ${strategy}`);
+    }
+  }
+}
+
+function validateOptions(q) {
+  if (!Array.isArray(q.options) || q.options.length < 2) {
+    throw new Error(`Question ${q.id} must have at least 2 options`);
+  }
+
+  const optIds = new Set();
+  for (const opt of q.options) {
+    if (!opt.id) throw new Error(`Question ${q.id} has option missing id`);
+    if (optIds.has(opt.id)) throw new Error(`Duplicate option id '${opt.id}' in question ${q.id}`);
+    optIds.add(opt.id);
+    if (!opt.label) throw new Error(`Option ${opt.id} in question ${q.id} missing label`);
+    validateFlagList(opt.flags, `Option ${opt.id} in question ${q.id}`);
+  }
+}
+
+function validateFlagList(flags, where) {
+  if (flags === undefined) return;
+  if (!Array.isArray(flags) || flags.some((f) => typeof f !== "string" || !f)) {
+    throw new Error(`${where} has invalid flags (expected non-empty strings)`);
+  }
+}
+
+/**
+ * derived_flags run after traits are aggregated, in file order, so a
+ * condition may use flags from options and from earlier derived flags.
+ */
+function validateDerivedFlags(derived) {
+  if (!Array.isArray(derived)) throw new Error("derived_flags must be an array");
+
+  for (const d of derived) {
+    if (!d || typeof d.flag !== "string" || !d.flag) throw new Error("Derived flag missing name");
+    validateCondition(d.when, { where: `Derived flag ${d.flag}`, roots: ["answers", "traits", "flags"] });
+  }
+}
+
+/**
+ * migrations form a chain (one step per `from` version) and may only point
+ * at questions / options that exist in this file.
+ */
+function validateMigrations(migrations, questions) {
+  if (!Array.isArray(migrations)) throw new Error("migrations must be an array");
+
+  const froms = new Set();
+  for (const m of migrations) {
+    if (!m || typeof m.from !== "string" || typeof m.to !== "string" || m.from === m.to) {
+      throw new Error("Migration needs distinct 'from' and 'to' versions");
+    }
+    const where = `Migration ${m.from} → ${m.to}`;
+    if (froms.has(m.from)) throw new Error(`${where}: more than one migration from ${m.from}`);
+    froms.add(m.from);
+
+    for (const [oldId, newId] of Object.entries(m.questions || {})) {
+      if (!questions.some((q) => q.id === newId)) {
+        throw new Error(`${where} renames '${oldId}' to unknown question '${newId}'`);
+      }
+    }
+
+    for (const [qid, map] of Object.entries(m.options || {})) {
+      const q = questions.find((x) => x.id === qid);
+      if (!q) throw new Error(`${where} maps options of unknown question '${qid}'`);
+
+      for (const [oldOpt, target] of Object.entries(map || {})) {
+        if (target === null) continue;
+        const ok =
+          typeof target === "number"
+            ? (q.type === "slider" || q.type === "numeric") && target >= Number(q.min ?? 0) && target <= Number(q.max ?? 4)
+            : (q.options || []).some((o) => o.id === target);
+        if (!ok) throw new Error(`${where} maps ${qid}.${oldOpt} to invalid answer '${target}'`);
+      }
     }
+  }
+}
+
+/**
+ * ranking: each option names the trait it drives; position i sets that
+ * trait to rank_values[i] (last value repeats for longer lists).
+ */
+function validateRanking(q) {
+  for (const opt of q.options) {
+    if (!TRAIT_KEYS.includes(opt.trait)) {
+      throw new Error(`Option ${opt.id} in ranking question ${q.id} needs a trait (T1..T10)`);
+    }
+  }
+  if (!Array.isArray(q.rank_values) || q.rank_values.length === 0) {
+    throw new Error(`Ranking question ${q.id} missing rank_values`);
+  }
+  for (const v of q.rank_values) {
+    if (!isTraitValue(v)) throw new Error(`Ranking question ${q.id} has invalid rank value: ${v}`);
+  }
+}
+
+/**
+ * slider: 0..4 value written straight to one trait.
+ */
+function validateSlider(q) {
+  if (!TRAIT_KEYS.includes(q.trait)) {
+    throw new Error(`Slider question ${q.id} needs a trait (T1..T10)`);
+  }
+}
+
+/**
+ * numeric: free number mapped to traits/flags by ascending `bands`.
+ * Every band but the last needs `below` (exclusive upper bound).
+ */
+function validateNumeric(q) {
+  const min = Number(q.min);
+  const max = Number(q.max);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+    throw new Error(`Numeric question ${q.id} needs min < max`);
+  }
+  if (!Array.isArray(q.bands) || q.bands.length === 0) {
+    throw new Error(`Numeric question ${q.id} missing bands`);
+  }
+
+  let prev = -Infinity;
+  q.bands.forEach((b, i) => {
+    const isLast = i === q.bands.length - 1;
+    if (!b || typeof b.traits !== "object") {
+      throw new Error(`Numeric question ${q.id} band ${i} missing traits`);
+    }
+    validateFlagList(b.flags, `Numeric question ${q.id} band ${i}`);
+    if (isLast) return;
+
+    const below = Number(b.below);
+    if (!Number.isFinite(below) || below <= prev) {
+      throw new Error(`Numeric question ${q.id} bands must have ascending 'below' values`);
+    }
+    prev = below;
+  });
+}
+
+function isTraitValue(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 && n <= 4;
+}
+
+/**
+ * showIf may only reference earlier questions, and only their real option ids.
+ */
+function validateShowIf(q, questions) {
+  const where = `Question ${q.id} showIf`;
+  validateCondition(q.showIf, { where, roots: ["answers"] });
+
+  const ownIndex = questions.indexOf(q);
+
+  for (const { fact, value } of collectFacts(q.showIf)) {
+    const refId = fact.split(".")[1];
+    const refIndex = questions.findIndex((x) => x.id === refId);
+
+    if (refIndex === -1) throw new Error(`${where} references unknown question '${refId}'`);
+    if (refIndex >= ownIndex) {
+      throw new Error(`${where} references '${refId}', which is not an earlier question`);
+    }
+
+    // Option-free types (slider / numeric) compare against numbers
+    if (!OPTION_TYPES.includes(questions[refIndex].type)) continue;
 
-    const optIds = new Set();
-    for (const opt of q.options) {
-      if (!opt.id) throw new Error(`Question ${q.id} has option missing id`);
-      if (optIds.has(opt.id)) throw new Error(`Duplicate option id '${opt.id}' in question ${q.id}`);
-      optIds.add(opt.id);
-      if (!opt.label) throw new Error(`Option ${opt.id} in question ${q.id} missing label`);
+    const optIds = new Set((questions[refIndex].options || []).map((o) => o.id));
+    const values = Array.isArray(value) ? value : value === undefined || typeof value === "boolean" ? [] : [value];
+    for (const v of values) {
+      if (!optIds.has(v)) throw new Error(`${where} references unknown option '${v}' of ${refId}`);
     }
   }
 }
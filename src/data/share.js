@@ -0,0 +1,173 @@
+/* ==========================================================================
+   data/share.js — AdoptMatch / Bonzo-app
+   Share links: an answer set packed into a short, URL-safe code for
+   #/shared/<code>. The recipient's app decodes it and computes the results
+   locally — nothing is uploaded; the link the user sends is the only copy
+   that leaves the device.
+
+   Code layout, fields joined by "~":
+     <format>~<questionsVersion>~<entry>~<entry>…
+   entry:
+     <questionId>.<value>       an answer
+     !<priorityId>.<levelId>    a priority rating
+   value:
+     option id (single), option ids joined by "*" (multi / ranking, may be
+     empty), a number (slider / numeric) or "not_sure"
+
+   Ids are plain [a-z0-9_] in practice; anything else is percent-encoded.
+   Codes made under an older question set run through the same migrations
+   as stored answers; answers that no longer fit are dropped and reported.
+
+   Exports:
+   - SHARE_FORMAT
+   - encodeShareCode({ answers, priorities }, { questionsVersion })
+   - decodeShareCode(code, { questions, questionsVersion, migrations })
+   ========================================================================== */
+
+import { getQuestions, getQuestionsMeta, UNSURE_ANSWER } from "./questions.js";
+import { migrateAnswers, findInvalidAnswers } from "./migrations.js";
+
+// Bump when the layout above changes; older formats stop decoding
+export const SHARE_FORMAT = "1";
+
+// Longer codes are not ours (or were mangled on the way)
+const MAX_CODE_LENGTH = 2000;
+
+/**
+ * Pack answers (and optional priority ratings) into a share code.
+ *
+ * @param {{ answers: {[questionId:string]: any}, priorities?: {[priorityId:string]: string} }} data
+ * @param {{ questionsVersion?: string | null }} [ctx]
+ * @returns {string}
+ */
+export function encodeShareCode({ answers, priorities } = {}, ctx = {}) {
+  const version = ctx.questionsVersion ?? getQuestionsMeta().version ?? "";
+  const fields = [SHARE_FORMAT, escapeVersion(version)];
+
+  for (const [qid, answer] of Object.entries(answers || {})) {
+    const value = Array.isArray(answer)
+      ? answer.map(escapePart).join("*")
+      : typeof answer === "number"
+        ? String(answer)
+        : escapePart(answer);
+    fields.push(`${escapePart(qid)}.${value}`);
+  }
+
+  for (const [pid, level] of Object.entries(priorities || {})) {
+    fields.push(`!${escapePart(pid)}.${escapePart(level)}`);
+  }
+
+  return fields.join("~");
+}
+
+/**
+ * Unpack a share code and bring its answers up to the loaded question set.
+ *
+ * @param {string} code
+ * @param {{ questions?: Array, questionsVersion?: string | null, migrations?: Array }} [ctx]
+ * @returns {{
+ *   questionsVersion: string | null,
+ *   answers: {[questionId:string]: any},
+ *   priorities: {[priorityId:string]: string},
+ *   dropped: string[]
+ * } | null}
+ *   questionsVersion - the set the code was made under
+ *   dropped          - questions whose shared answer no longer fits
+ *   null when the code is malformed, from another format or has no answers
+ */
+export function decodeShareCode(code, ctx = {}) {
+  const questions = ctx.questions ?? getQuestions() ?? [];
+  const current = ctx.questionsVersion ?? getQuestionsMeta().version ?? null;
+  const migrations = ctx.migrations ?? getQuestionsMeta().migrations;
+
+  const raw = String(code || "");
+  if (!raw || raw.length > MAX_CODE_LENGTH) return null;
+
+  const [format, version, ...entries] = raw.split("~");
+  if (format !== SHARE_FORMAT || version === undefined) return null;
+
+  const answers = {};
+  const priorities = {};
+  let from;
+
+  try {
+    from = unescapePart(version) || null;
+
+    for (const entry of entries) {
+      const dot = entry.indexOf(".");
+      if (dot <= 0) return null;
+
+      const key = entry.slice(0, dot);
+      const value = entry.slice(dot + 1);
+
+      if (key.startsWith("!")) {
+        priorities[unescapePart(key.slice(1))] = unescapePart(value);
+        continue;
+      }
+
+      const qid = unescapePart(key);
+      answers[qid] = parseValue(value, questions.find((q) => q.id === qid));
+    }
+  } catch (_) {
+    // Bad percent-encoding
+    return null;
+  }
+
+  if (Object.keys(answers).length === 0) return null;
+
+  const migrated =
+    from === current ? { answers, reset: [] } : migrateAnswers(answers, from, current, migrations);
+
+  const { invalid, orphaned } = findInvalidAnswers(migrated.answers, questions);
+  const dropped = new Set([...migrated.reset, ...invalid, ...orphaned]);
+
+  return {
+    questionsVersion: from,
+    answers: Object.fromEntries(Object.entries(migrated.answers).filter(([qid]) => !dropped.has(qid))),
+    priorities,
+    dropped: Array.from(dropped),
+  };
+}
+
+/* ==========================================================================
+   Internals
+   ========================================================================== */
+
+/**
+ * Read one value by the question's type. Unknown questions keep the raw
+ * string (an older question set may still migrate it).
+ */
+function parseValue(value, question) {
+  if (value === UNSURE_ANSWER) return UNSURE_ANSWER;
+
+  switch (question?.type) {
+    case "multi":
+    case "ranking":
+      return value === "" ? [] : value.split("*").map(unescapePart);
+    case "slider":
+    case "numeric": {
+      const text = unescapePart(value);
+      const n = Number(text);
+      return text !== "" && Number.isFinite(n) ? n : text;
+    }
+    default:
+      return unescapePart(value);
+  }
+}
+
+// encodeURIComponent leaves . ! ~ * ' ( ) alone; the first four are separators here
+function escapePart(v) {
+  return encodeURIComponent(String(v ?? "")).replace(
+    /[.!~*'()]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+// Versions ("1.1") are a field of their own, so only "~" needs escaping
+function escapeVersion(v) {
+  return encodeURIComponent(String(v ?? "")).replaceAll("~", "%7E");
+}
+
+function unescapePart(v) {
+  return decodeURIComponent(v);
+}
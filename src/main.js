@@ -3,10 +3,12 @@
    App bootstrap & lifecycle
    ========================================================================== */
 
-import { initRouter, navigate } from "./router.js";
-import { loadQuestions } from "./data/questions.js";
+import { initRouter } from "./router.js";
+import { loadQuestions, getProducibleFlags } from "./data/questions.js";
 import { loadArchetypes } from "./match/archetypes.js";
-import { initState, hydrateState } from "./state.js";
+import { loadRules, findUnreachableFlags } from "./match/rules.js";
+import { loadPriorities } from "./match/priorities.js";
+import { initState, hydrateState, syncQuestionSet } from "./state.js";
 
 /**
  * Entry point
@@ -19,23 +21,41 @@ async function boot() {
     // Hydrate from localStorage if exists
     hydrateState();
 
-    // Load core data (questions + archetypes)
+    // Load core data (questions + archetypes + rules + priorities)
     await Promise.all([
       loadQuestions(),
       loadArchetypes(),
+      loadRules(),
+      loadPriorities(),
     ]);
 
-    // Init router AFTER data is ready
-    initRouter();
+    // Rules testing flags no question emits can never fire — say so in dev
+    if (isDevHost()) {
+      for (const { ruleId, flag } of findUnreachableFlags(getProducibleFlags())) {
+        console.warn(`Rule ${ruleId} tests flag "${flag}", which no question can produce.`);
+      }
+    }
+
+    // Stored answers may predate the loaded question set: migrate them and
+    // mark the ones that no longer fit for re-answering
+    syncQuestionSet();
 
-    // Default route
-    navigate("welcome");
+    // Init router AFTER data is ready; it renders whatever the URL points at
+    // (deep links, reloads) and falls back to welcome
+    initRouter();
   } catch (err) {
     console.error("AdoptMatch failed to start:", err);
     renderFatalError();
   }
 }
 
+/**
+ * Served from this machine (local dev server) rather than a deployment.
+ */
+function isDevHost() {
+  return ["localhost", "127.0.0.1", "[::1]"].includes(location.hostname);
+}
+
 /**
  * Simple fatal error screen
  */
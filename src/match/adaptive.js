@@ -0,0 +1,130 @@
+/* ==========================================================================
+   match/adaptive.js — AdoptMatch / Bonzo-app
+   Adaptive quiz order: ask the question most likely to move the top matches.
+
+   For every visible, unanswered question we try each plausible answer,
+   re-run the match pipeline and measure how far the top-N list moves.
+   The question with the largest average shift is asked next; when no
+   remaining answer can change the top-N, the ranking is stable and the
+   quiz can stop.
+
+   Exports:
+   - pickNextQuestion(answers, { questions, questionsMeta, archetypes, rules, weights, scoringModel, top, exclude })
+   ========================================================================== */
+
+import { getQuestions, getVisibleQuestions } from "../data/questions.js";
+import { getArchetypes } from "./archetypes.js";
+import { getRules } from "./rules.js";
+import { computeMatches } from "./engine.js";
+
+const DEFAULTS = {
+  top: 3, // size of the list that has to be stable
+};
+
+/**
+ * Pick the most decisive remaining question.
+ *
+ * @param {{[questionId:string]: any}} answers
+ * @param {{
+ *   questions?: Array, questionsMeta?: object, archetypes?: Array, rules?: Array,
+ *   weights?: {[k:string]:number}, scoringModel?: string,
+ *   top?: number, exclude?: string[]
+ * }} [ctx]
+ *   exclude - question ids never to pick (e.g. already asked)
+ * @returns {{ question: object, shift: number } | null}
+ *   shift - average number of top-N positions that change across answers;
+ *   null when nothing is left to ask or no answer could change the top-N
+ */
+export function pickNextQuestion(answers, ctx = {}) {
+  const questions = ctx.questions ?? getQuestions() ?? [];
+  const archetypes = ctx.archetypes ?? getArchetypes() ?? [];
+  const rules = ctx.rules ?? getRules() ?? [];
+  const top = ctx.top ?? DEFAULTS.top;
+  const exclude = new Set(ctx.exclude || []);
+  const base = answers || {};
+
+  const run = (a) =>
+    computeMatches(a, {
+      questions,
+      questionsMeta: ctx.questionsMeta,
+      archetypes,
+      rules,
+      weights: ctx.weights,
+      options: { top, ...(ctx.scoringModel ? { scoringModel: ctx.scoringModel } : {}) },
+    }).top.map((r) => r.id);
+
+  const remaining = getVisibleQuestions(base, questions).filter(
+    (q) => base[q.id] === undefined && !exclude.has(q.id)
+  );
+  if (remaining.length === 0) return null;
+
+  const current = run(base);
+  let best = null;
+
+  for (const q of remaining) {
+    const candidates = candidateAnswers(q);
+    if (candidates.length === 0) continue;
+
+    const total = candidates.reduce((sum, value) => sum + topShift(current, run({ ...base, [q.id]: value })), 0);
+    const shift = total / candidates.length;
+
+    // Ties keep file order (earlier questions read more naturally)
+    if (!best || shift > best.shift) best = { question: q, shift };
+  }
+
+  if (!best || best.shift === 0) return null;
+  return { question: best.question, shift: round2(best.shift) };
+}
+
+/* ==========================================================================
+   Internals
+   ========================================================================== */
+
+/**
+ * Plausible answers to try for a question:
+ * - single: each option
+ * - multi: each option on its own
+ * - slider: every step
+ * - numeric: the lower bound of each band
+ * - ranking: each option moved to the top
+ */
+function candidateAnswers(q) {
+  const options = q.options || [];
+
+  if (q.type === "multi") return options.map((o) => [o.id]);
+
+  if (q.type === "ranking") {
+    const ids = options.map((o) => o.id);
+    return ids.map((id) => [id, ...ids.filter((x) => x !== id)]);
+  }
+
+  if (q.type === "slider") {
+    const min = Number(q.min ?? 0);
+    const max = Number(q.max ?? 4);
+    const step = Number(q.step) || 1;
+    const values = [];
+    for (let v = min; v <= max; v += step) values.push(v);
+    return values;
+  }
+
+  if (q.type === "numeric") {
+    const bands = q.bands || [];
+    return bands.map((_, i) => (i === 0 ? Number(q.min) : Number(bands[i - 1].below)));
+  }
+
+  return options.map((o) => o.id);
+}
+
+// Positions in the top-N list that hold a different archetype
+function topShift(a, b) {
+  const n = Math.max(a.length, b.length);
+  let changed = 0;
+  for (let i = 0; i < n; i++) {
+    if (a[i] !== b[i]) changed++;
+  }
+  return changed;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -7,6 +7,13 @@
    - getArchetypes()
    - getArchetypesMeta()
    - getArchetypeById(id)
+   - traitRange(value)
+   - traitMidpoint(value)
+   - traitMidpoints(traits)
+   - humanizeRisk(risk)
+
+   Trait values are 0..4 and may be a single point or, for variable mixes,
+   a range: { "min": 1, "max": 3 } or { "mean": 2, "spread": 1 }.
    ========================================================================== */
 
 "use strict";
@@ -73,10 +80,105 @@ export function getArchetypeById(id) {
   return _archetypes.find((a) => a && a.id === key) || null;
 }
 
+/**
+ * Normalize a trait value (point or range) to { min, max }.
+ * Unknown / missing values fall back to the neutral point 2.
+ * @param {number|{min:number,max:number}|{mean:number,spread:number}} value
+ * @returns {{min:number, max:number}}
+ */
+export function traitRange(value) {
+  if (value && typeof value === "object") {
+    if (value.min !== undefined || value.max !== undefined) {
+      const min = clamp(toNum(value.min ?? value.max, 2), 0, 4);
+      const max = clamp(toNum(value.max ?? value.min, 2), 0, 4);
+      return { min: Math.min(min, max), max: Math.max(min, max) };
+    }
+    const mean = toNum(value.mean, 2);
+    const spread = Math.abs(toNum(value.spread, 0));
+    return { min: clamp(mean - spread, 0, 4), max: clamp(mean + spread, 0, 4) };
+  }
+  const n = clamp(toNum(value, 2), 0, 4);
+  return { min: n, max: n };
+}
+
+/**
+ * Single representative value for a trait (range midpoint).
+ * Use this anywhere a plain number is needed (badges, rule facts).
+ * @param {number|object} value
+ * @returns {number}
+ */
+export function traitMidpoint(value) {
+  const { min, max } = traitRange(value);
+  return (min + max) / 2;
+}
+
+/**
+ * Every trait of an archetype as a plain number; range traits (variable
+ * mixes) collapse to their midpoint. For badges and other quick reads.
+ * @param {{[k:string]: number|object}} traits
+ * @returns {{[k:string]: number}}
+ */
+export function traitMidpoints(traits) {
+  return Object.fromEntries(Object.entries(traits || {}).map(([k, v]) => [k, traitMidpoint(v)]));
+}
+
+/**
+ * Adopter-facing label for an archetype risk key ("prey_drive" → "Prey drive").
+ * Unknown keys fall back to the key with spaces.
+ * @param {string} risk
+ * @returns {string}
+ */
+export function humanizeRisk(risk) {
+  const map = {
+    separation_sensitivity: "Sensitive to alone time",
+    high_shedding: "Heavy shedding",
+    needs_daily_activity: "Needs daily activity",
+    dog_selective: "May be dog-selective",
+    stigma: "May face stigma",
+    high_grooming: "High grooming needs",
+    understimulation: "Needs mental stimulation",
+    barking: "Can be vocal",
+    vocal: "Can be vocal",
+    noise: "Noise-prone",
+    prey_drive: "Prey drive",
+    high_prey_drive: "High prey drive",
+    recall_challenges: "Recall can be hard",
+    escape_risk: "Escape / roaming risk",
+    health_costs: "Potential health costs"
+  };
+  return map[risk] || String(risk).replaceAll("_", " ");
+}
+
 /* ==========================================================================
    Validation
    ========================================================================== */
 
+/**
+ * Validate a { min, max } or { mean, spread } trait range.
+ */
+function validateTraitRange(id, key, v) {
+  const inRange = (n) => Number.isFinite(n) && n >= 0 && n <= 4;
+
+  if (v.min !== undefined || v.max !== undefined) {
+    const min = Number(v.min);
+    const max = Number(v.max);
+    if (!inRange(min) || !inRange(max) || min > max) {
+      throw new Error(
+        `Archetype ${id} has invalid ${key} range: ${JSON.stringify(v)} (expected 0 <= min <= max <= 4)`
+      );
+    }
+    return;
+  }
+
+  const mean = Number(v.mean);
+  const spread = Number(v.spread);
+  if (!inRange(mean) || !Number.isFinite(spread) || spread < 0) {
+    throw new Error(
+      `Archetype ${id} has invalid ${key}: ${JSON.stringify(v)} (expected {min,max} or {mean,spread})`
+    );
+  }
+}
+
 /**
  * Validate archetype collection shape to fail fast on bad JSON.
  * @param {any[]} archetypes
@@ -110,7 +212,7 @@ function validateArchetypes(archetypes) {
       throw new Error(`Archetype ${a.id} missing traits object`);
     }
 
-    // Ensure trait keys exist and values are sane (0..4)
+    // Ensure trait keys exist and values are sane (0..4 point or range)
     for (const k of TRAIT_KEYS) {
       const v = a.traits[k];
 
@@ -118,6 +220,11 @@ function validateArchetypes(archetypes) {
         throw new Error(`Archetype ${a.id} missing trait ${k}`);
       }
 
+      if (typeof v === "object") {
+        validateTraitRange(a.id, k, v);
+        continue;
+      }
+
       const n = Number(v);
       if (!Number.isFinite(n) || n < 0 || n > 4) {
         throw new Error(
@@ -148,3 +255,16 @@ function validateArchetypes(archetypes) {
     }
   }
 }
+
+/* ==========================================================================
+   Helpers
+   ========================================================================== */
+
+function toNum(v, fallback) {
+  const n = typeof v === "number" ? v : Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
@@ -0,0 +1,198 @@
+/* ==========================================================================
+   match/conditions.js — AdoptMatch / Bonzo-app
+   Tiny declarative condition language used by data files (rules, etc.).
+
+   Condition shapes:
+   - { "all": [cond, ...] }   every child matches
+   - { "any": [cond, ...] }   at least one child matches
+   - { "not": cond }          child does not match
+   - { "fact": "user.flags", "op": "includes", "value": "cat_home" }
+
+   Facts are dot paths into a context object, e.g. "user.traits.T5",
+   "user.answers.children", "archetype.risks".
+
+   Exports:
+   - OPERATORS
+   - evaluateCondition(cond, context)
+   - traceCondition(cond, context)
+   - describeCondition(cond)
+   - validateCondition(cond, { where, roots })
+   - resolveFact(path, context)
+   - collectFacts(cond)
+   ========================================================================== */
+
+/**
+ * Supported leaf operators.
+ * Array facts (flags, risks, tags, multi answers) use the "includes" family;
+ * scalar facts use the comparison family.
+ */
+export const OPERATORS = {
+  eq: (fact, value) =>
+    Array.isArray(fact) || Array.isArray(value) ? sameSet(fact, value) : fact === value,
+  neq: (fact, value) => !OPERATORS.eq(fact, value),
+  lt: (fact, value) => isNum(fact) && fact < value,
+  lte: (fact, value) => isNum(fact) && fact <= value,
+  gt: (fact, value) => isNum(fact) && fact > value,
+  gte: (fact, value) => isNum(fact) && fact >= value,
+  in: (fact, value) => asList(value).includes(fact),
+  includes: (fact, value) => asList(fact).includes(value),
+  includesAny: (fact, value) => asList(value).some((v) => asList(fact).includes(v)),
+  // true when the fact holds at least one item outside `value`
+  // (e.g. support_system has something other than "none")
+  includesOther: (fact, value) => asList(fact).some((x) => x && !asList(value).includes(x)),
+  exists: (fact, value) => (value === false ? isEmpty(fact) : !isEmpty(fact)),
+};
+
+/**
+ * Evaluate a condition against a context object.
+ * @param {object} cond
+ * @param {object} context - e.g. { user, archetype }
+ * @returns {boolean}
+ */
+export function evaluateCondition(cond, context) {
+  if (!cond || typeof cond !== "object") return false;
+
+  if (Array.isArray(cond.all)) return cond.all.every((c) => evaluateCondition(c, context));
+  if (Array.isArray(cond.any)) return cond.any.some((c) => evaluateCondition(c, context));
+  if (cond.not !== undefined) return !evaluateCondition(cond.not, context);
+
+  const op = OPERATORS[cond.op];
+  if (!op) return false;
+
+  return op(resolveFact(cond.fact, context), cond.value);
+}
+
+/**
+ * Evaluate a condition without short-circuiting and report which parts matched.
+ * Used for rule traces ("why was this blocked?").
+ *
+ * @param {object} cond
+ * @param {object} context
+ * @returns {{ result: boolean, matched: string[] }}
+ *   matched - human-readable leaf conditions that evaluated true
+ *   (negations are reported as "not (...)" when they hold)
+ */
+export function traceCondition(cond, context) {
+  if (!cond || typeof cond !== "object") return { result: false, matched: [] };
+
+  if (Array.isArray(cond.all) || Array.isArray(cond.any)) {
+    const children = (cond.all ?? cond.any).map((c) => traceCondition(c, context));
+    const result = Array.isArray(cond.all)
+      ? children.every((c) => c.result)
+      : children.some((c) => c.result);
+    return { result, matched: children.flatMap((c) => c.matched) };
+  }
+
+  if (cond.not !== undefined) {
+    const result = !evaluateCondition(cond.not, context);
+    return { result, matched: result ? [`not (${describeCondition(cond.not)})`] : [] };
+  }
+
+  const result = evaluateCondition(cond, context);
+  return { result, matched: result ? [describeCondition(cond)] : [] };
+}
+
+/**
+ * Human-readable one-liner for a condition, e.g. "user.flags includes cat_home".
+ * @param {object} cond
+ * @returns {string}
+ */
+export function describeCondition(cond) {
+  if (!cond || typeof cond !== "object") return "";
+  if (Array.isArray(cond.all)) return cond.all.map(describeCondition).join(" and ");
+  if (Array.isArray(cond.any)) return cond.any.map(describeCondition).join(" or ");
+  if (cond.not !== undefined) return `not (${describeCondition(cond.not)})`;
+  return `${cond.fact} ${cond.op} ${JSON.stringify(cond.value)}`;
+}
+
+/**
+ * Resolve a dot-path fact ("user.traits.T5") on a context object.
+ * @param {string} path
+ * @param {object} context
+ * @returns {any}
+ */
+export function resolveFact(path, context) {
+  const parts = String(path || "").split(".").filter(Boolean);
+  let cur = context;
+  for (const p of parts) {
+    if (cur === null || cur === undefined) return undefined;
+    cur = cur[p];
+  }
+  return cur;
+}
+
+/**
+ * List every fact path referenced by a condition (depth-first).
+ * @param {object} cond
+ * @returns {Array<{fact:string, op:string, value:any}>}
+ */
+export function collectFacts(cond) {
+  if (!cond || typeof cond !== "object") return [];
+  if (Array.isArray(cond.all)) return cond.all.flatMap(collectFacts);
+  if (Array.isArray(cond.any)) return cond.any.flatMap(collectFacts);
+  if (cond.not !== undefined) return collectFacts(cond.not);
+  return [{ fact: cond.fact, op: cond.op, value: cond.value }];
+}
+
+/**
+ * Validate condition shape to fail fast on bad JSON.
+ * @param {any} cond
+ * @param {{ where: string, roots?: string[] }} ctx
+ *   where - label used in error messages (e.g. "Rule R1")
+ *   roots - allowed first path segments (e.g. ["user", "archetype"])
+ */
+export function validateCondition(cond, { where, roots = [] }) {
+  if (!cond || typeof cond !== "object" || Array.isArray(cond)) {
+    throw new Error(`${where} has invalid condition (expected object)`);
+  }
+
+  if (cond.all !== undefined || cond.any !== undefined) {
+    const list = cond.all ?? cond.any;
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error(`${where} has empty all/any condition`);
+    }
+    list.forEach((c) => validateCondition(c, { where, roots }));
+    return;
+  }
+
+  if (cond.not !== undefined) {
+    validateCondition(cond.not, { where, roots });
+    return;
+  }
+
+  if (!cond.fact || typeof cond.fact !== "string") {
+    throw new Error(`${where} has condition missing fact`);
+  }
+  const root = cond.fact.split(".")[0];
+  if (roots.length && !roots.includes(root)) {
+    throw new Error(`${where} references unknown fact '${cond.fact}'`);
+  }
+  if (!OPERATORS[cond.op]) {
+    throw new Error(`${where} has unknown operator '${cond.op}'`);
+  }
+}
+
+/* ==========================================================================
+   Helpers
+   ========================================================================== */
+
+function asList(v) {
+  if (Array.isArray(v)) return v;
+  if (v === undefined || v === null || v === "") return [];
+  return [v];
+}
+
+function sameSet(a, b) {
+  const x = asList(a);
+  const y = asList(b);
+  if (x.length !== y.length) return false;
+  return x.every((v) => y.includes(v));
+}
+
+function isNum(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function isEmpty(v) {
+  return asList(v).length === 0;
+}
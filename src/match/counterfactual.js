@@ -0,0 +1,245 @@
+/* ==========================================================================
+   match/counterfactual.js — AdoptMatch / Bonzo-app
+   "What would make this work?" for blocked archetypes.
+
+   For a blocked archetype, searches for the smallest set of answer changes
+   (change a single choice, add/remove one multi-select item, move a slider
+   or numeric answer into another band) that moves it
+   into the allowed list, and reports roughly where it would then rank.
+   Questions marked `actionable: false` (fixed circumstances such as
+   children at home) are never edited.
+
+   Exports:
+   - findUnblockingChanges(answers, archetypeId, { questions, questionsMeta, archetypes, rules, weights, scoringModel, maxChanges, limit })
+   ========================================================================== */
+
+import { getQuestions, getQuestionsMeta, getVisibleQuestions } from "../data/questions.js";
+import { getArchetypes } from "./archetypes.js";
+import { getRules, evaluateArchetypeRules } from "./rules.js";
+import { buildUserProfile, numericBand } from "./profile.js";
+import { computeMatches } from "./engine.js";
+
+const DEFAULTS = {
+  maxChanges: 3, // search depth (1 = single edits only)
+  limit: 3, // max alternative change sets returned
+};
+
+/**
+ * Find minimal answer edits that unblock an archetype.
+ *
+ * Only the smallest working size is returned: if a single change is enough,
+ * no two-change sets are reported. Alternatives touching the same questions
+ * are near-duplicates (three alone-time bands), so only the best-ranked one
+ * per set of questions is kept before `limit` applies.
+ *
+ * @param {{[questionId:string]: string|string[]}} answers
+ * @param {string} archetypeId
+ * @param {{
+ *   questions?: Array, questionsMeta?: object, archetypes?: Array, rules?: Array,
+ *   weights?: {[k:string]:number}, scoringModel?: string,
+ *   maxChanges?: number, limit?: number
+ * }} [ctx]
+ * @returns {Array<{
+ *   changes: Array<{
+ *     questionId:string, kind:"set"|"add"|"remove",
+ *     optionId?:string, value?:number, from:any
+ *   }>,
+ *   answers: object,
+ *   rank: number,
+ *   score: number
+ * }>} empty when the archetype is not blocked or nothing within reach unblocks it
+ */
+export function findUnblockingChanges(answers, archetypeId, ctx = {}) {
+  const questions = ctx.questions ?? getQuestions() ?? [];
+  const questionsMeta = ctx.questionsMeta ?? getQuestionsMeta();
+  const archetypes = ctx.archetypes ?? getArchetypes() ?? [];
+  const rules = ctx.rules ?? getRules() ?? [];
+  const maxChanges = ctx.maxChanges ?? DEFAULTS.maxChanges;
+  const limit = ctx.limit ?? DEFAULTS.limit;
+
+  const archetype = archetypes.find((a) => a && a.id === archetypeId);
+  if (!archetype) return [];
+
+  const base = answers || {};
+  if (isAllowed(base, archetype, questions, questionsMeta, rules)) return [];
+
+  const edits = candidateEdits(base, questions);
+  const found = [];
+
+  for (let size = 1; size <= maxChanges && found.length === 0; size++) {
+    for (const combo of combinations(edits, size)) {
+      if (!isCoherent(combo)) continue;
+
+      const next = applyEdits(base, combo, questions);
+      if (!isAllowed(next, archetype, questions, questionsMeta, rules)) continue;
+
+      found.push({ changes: combo, answers: next });
+    }
+  }
+
+  // Rank each working alternative with the full pipeline
+  const withRank = found.map((f) => {
+    const report = computeMatches(f.answers, {
+      questions,
+      questionsMeta,
+      archetypes,
+      rules,
+      weights: ctx.weights,
+      options: ctx.scoringModel ? { scoringModel: ctx.scoringModel } : undefined,
+    });
+    const idx = report.ranked.findIndex((r) => r.id === archetypeId);
+    return {
+      ...f,
+      rank: idx + 1,
+      score: idx >= 0 ? report.ranked[idx].score : 0,
+    };
+  });
+
+  withRank.sort((a, b) => a.rank - b.rank || b.score - a.score);
+  return distinctByQuestions(withRank).slice(0, limit);
+}
+
+/* ==========================================================================
+   Internals
+   ========================================================================== */
+
+/**
+ * First (best) alternative per set of touched question ids, order kept.
+ */
+function distinctByQuestions(alternatives) {
+  const seen = new Set();
+  return alternatives.filter((alt) => {
+    const key = Array.from(new Set(alt.changes.map((c) => c.questionId))).sort().join("|");
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function isAllowed(answers, archetype, questions, questionsMeta, rules) {
+  const user = buildUserProfile(answers, questions, {
+    traitAggregation: questionsMeta.traitAggregation ?? {},
+    derivedFlags: questionsMeta.derivedFlags ?? [],
+  });
+  return evaluateArchetypeRules({ archetype, user, rules }).allowed;
+}
+
+/**
+ * A change set may touch a multi question several times (e.g. drop two
+ * tolerances) but never pick two values for the same single question.
+ */
+function isCoherent(combo) {
+  const seen = new Set();
+  for (const e of combo) {
+    const key = e.kind === "set" ? e.questionId : `${e.questionId}:${e.optionId}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+  }
+  return true;
+}
+
+/**
+ * Every single-step edit reachable from the current answers:
+ * - single: pick any other option
+ * - multi: add an unselected option or remove a selected one
+ * - slider: any other step value
+ * - numeric: the lower bound of every other band (one value per band is
+ *   enough — the profile only sees the band)
+ * Rankings are left alone: reordering is not a useful suggestion.
+ * Questions hidden by showIf are skipped — editing them changes nothing —
+ * and so are non-actionable ones: the adopter can't act on those.
+ */
+function candidateEdits(answers, questions) {
+  const edits = [];
+
+  for (const q of getVisibleQuestions(answers, questions)) {
+    if (q.actionable === false) continue;
+
+    const current = answers[q.id];
+
+    if (q.type === "multi") {
+      const selected = Array.isArray(current) ? current : [];
+      for (const opt of q.options || []) {
+        const kind = selected.includes(opt.id) ? "remove" : "add";
+        edits.push({ questionId: q.id, kind, optionId: opt.id, from: [...selected] });
+      }
+      continue;
+    }
+
+    if (q.type === "slider") {
+      for (const value of sliderValues(q)) {
+        if (value === current) continue;
+        edits.push({ questionId: q.id, kind: "set", value, from: current ?? null });
+      }
+      continue;
+    }
+
+    if (q.type === "numeric") {
+      const currentBand = numericBand(q, current);
+      const bands = q.bands || [];
+      bands.forEach((band, i) => {
+        if (band === currentBand) return;
+        const value = i === 0 ? Number(q.min) : Number(bands[i - 1].below);
+        edits.push({ questionId: q.id, kind: "set", value, from: current ?? null });
+      });
+      continue;
+    }
+
+    if (q.type === "ranking") continue;
+
+    for (const opt of q.options || []) {
+      if (opt.id === current) continue;
+      edits.push({ questionId: q.id, kind: "set", optionId: opt.id, from: current ?? null });
+    }
+  }
+
+  return edits;
+}
+
+function applyEdits(answers, edits, questions) {
+  const next = { ...answers };
+
+  for (const e of edits) {
+    if (e.kind === "set") {
+      next[e.questionId] = "value" in e ? e.value : e.optionId;
+      continue;
+    }
+
+    const q = questions.find((x) => x.id === e.questionId);
+    const selected = new Set(Array.isArray(next[e.questionId]) ? next[e.questionId] : []);
+
+    if (e.kind === "remove") {
+      selected.delete(e.optionId);
+    } else if (e.optionId === "none") {
+      // Mirror ChoiceCards: "none" is exclusive in multi questions
+      selected.clear();
+      selected.add("none");
+    } else {
+      selected.delete("none");
+      selected.add(e.optionId);
+    }
+
+    next[e.questionId] = (q?.options || []).map((o) => o.id).filter((id) => selected.has(id));
+  }
+
+  return next;
+}
+
+function sliderValues(q) {
+  const min = Number(q.min ?? 0);
+  const max = Number(q.max ?? 4);
+  const step = Number(q.step) || 1;
+  const values = [];
+  for (let v = min; v <= max; v += step) values.push(v);
+  return values;
+}
+
+function* combinations(items, size, start = 0, prefix = []) {
+  if (prefix.length === size) {
+    yield prefix;
+    return;
+  }
+  for (let i = start; i < items.length; i++) {
+    yield* combinations(items, size, i + 1, [...prefix, items[i]]);
+  }
+}
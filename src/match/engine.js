@@ -0,0 +1,175 @@
+/* ==========================================================================
+   match/engine.js — AdoptMatch / Bonzo-app
+   Headless match pipeline (no DOM):
+   answers → profile → hard filters → ranking → penalties → re-sort.
+
+   Returns a plain, JSON-serializable report so the same matching can run
+   from screens, tests or an embed without duplicating the pipeline.
+
+   Exports:
+   - computeMatches(answers, { questions, questionsMeta, archetypes, rules, weights, profile, options })
+   ========================================================================== */
+
+import { getQuestions, getQuestionsMeta } from "../data/questions.js";
+import { getArchetypes, getArchetypesMeta } from "./archetypes.js";
+import { buildUserProfile } from "./profile.js";
+import { filterArchetypes, applyPenalties, getRules, getRulesMeta } from "./rules.js";
+import { rankArchetypes, DEFAULT_WEIGHTS, DEFAULT_SCORING_MODEL } from "./scoring.js";
+
+const DEFAULT_OPTIONS = {
+  top: 5, // size of report.top
+  avoid: 5, // size of report.avoid
+  versions: null, // override data versions (defaults to loaded meta)
+  trace: false, // run every rule and attach a per-rule trace to each entry
+  scoringModel: DEFAULT_SCORING_MODEL, // see registerScoringModel in scoring.js
+};
+
+/**
+ * Run the full matching pipeline for a set of answers.
+ *
+ * Any input left out falls back to the loaded data (questions / archetypes / rules)
+ * and DEFAULT_WEIGHTS, so screens can just pass answers. Callers passing their
+ * own `questions` should pass the same file's `questionsMeta` too: trait
+ * aggregation and derived flags come from it, not from the loaded set. A prebuilt
+ * `profile` (e.g. a merged household, see household.js) replaces the one
+ * built from answers; answers are then ignored.
+ *
+ * @param {{[questionId:string]: string|string[]}} answers
+ * @param {{
+ *   questions?: Array,
+ *   questionsMeta?: { version?: string, traitAggregation?: {[trait:string]: string}, derivedFlags?: Array },
+ *   archetypes?: Array,
+ *   rules?: Array,
+ *   weights?: {[k:string]: number},
+ *   profile?: { traits: object, flags: string[], answers: object, provenance?: object, uncertain?: object },
+ *   options?: {
+ *     top?: number,
+ *     avoid?: number,
+ *     trace?: boolean,
+ *     scoringModel?: string,
+ *     versions?: {questions?:string, archetypes?:string, rules?:string}
+ *   }
+ * }} [ctx]
+ * @returns {{
+ *   versions: { questions: string|null, archetypes: string|null, rules: string|null },
+ *   profile: {
+ *     traits: object, flags: string[], answers: object,
+ *     provenance: object, uncertain: {[k:string]: string[]}
+ *   },
+ *   weights: {[k:string]: number},
+ *   scoringModel: string,
+ *   ranked: Array<{id:string, name:string, baseScore:number, score:number, band:{min:number,max:number}, penalties:Array<{key:string, delta:number, reason:string|null}>, diffs:object, trace?:Array}>,
+ *   blocked: Array<{id:string, name:string, reasons:string[], penalties?:Array, trace?:Array}>,
+ *   top: Array,
+ *   avoid: Array
+ * }}
+ */
+export function computeMatches(answers, ctx = {}) {
+  const questions = ctx.questions ?? getQuestions() ?? [];
+  const questionsMeta = ctx.questionsMeta ?? getQuestionsMeta();
+  const archetypes = ctx.archetypes ?? getArchetypes() ?? [];
+  const rules = ctx.rules ?? getRules() ?? [];
+  const weights = ctx.weights ?? DEFAULT_WEIGHTS;
+  const options = { ...DEFAULT_OPTIONS, ...(ctx.options || {}) };
+
+  // Build user profile (traits + flags) from answers
+  const profile =
+    ctx.profile ??
+    buildUserProfile(answers || {}, questions, {
+      traitAggregation: questionsMeta.traitAggregation ?? {},
+      derivedFlags: questionsMeta.derivedFlags ?? [],
+    });
+
+  // Hard filters
+  const mode = options.trace ? "full" : "first";
+  const { allowed, blocked } = filterArchetypes(archetypes, profile, { rules, mode });
+
+  // Score only allowed archetypes
+  const ranked = rankArchetypes(
+    allowed.map((x) => x.archetype),
+    profile.traits,
+    weights,
+    { model: options.scoringModel, uncertain: Object.keys(profile.uncertain || {}) }
+  );
+
+  // Merge penalties & archetype metadata
+  const merged = ranked.map((r) => {
+    const entry = allowed.find((a) => a.archetype.id === r.id);
+    const penaltyRes = applyPenalties(r.score, entry?.penalties || []);
+    const bandMin = applyPenalties(r.band.min, entry?.penalties || []).score;
+
+    return {
+      id: r.id,
+      name: entry?.archetype?.name || r.id,
+      baseScore: r.score,
+      score: penaltyRes.score,
+      band: { min: bandMin, max: penaltyRes.score },
+      penalties: penaltyRes.applied.map((p) => ({ key: p.key, delta: p.delta, reason: p.reason ?? null })),
+      diffs: { ...r.diffs },
+      ...(entry?.trace ? { trace: cloneTrace(entry.trace) } : {}),
+    };
+  });
+
+  merged.sort((a, b) => b.score - a.score);
+
+  const blockedOut = blocked.map((b) => ({
+    id: b.archetype?.id,
+    name: b.archetype?.name || b.archetype?.id || "Profile",
+    reasons: [...(b.reasons || [])],
+    ...(b.trace
+      ? {
+          penalties: (b.penalties || []).map((p) => ({ key: p.key, delta: p.delta, reason: p.reason ?? null })),
+          trace: cloneTrace(b.trace),
+        }
+      : {}),
+  }));
+
+  return {
+    versions: {
+      questions: options.versions?.questions ?? questionsMeta.version ?? null,
+      archetypes: options.versions?.archetypes ?? getArchetypesMeta().version ?? null,
+      rules: options.versions?.rules ?? getRulesMeta().version ?? null,
+    },
+    profile: {
+      traits: { ...profile.traits },
+      flags: [...profile.flags],
+      answers: cloneAnswers(profile.answers),
+      provenance: cloneProvenance(profile.provenance),
+      uncertain: cloneAnswers(profile.uncertain),
+    },
+    weights: { ...weights },
+    scoringModel: options.scoringModel,
+    ranked: merged,
+    blocked: blockedOut,
+    top: merged.slice(0, options.top),
+    avoid: blockedOut.slice(0, options.avoid),
+  };
+}
+
+/* ==========================================================================
+   Helpers
+   ========================================================================== */
+
+function cloneTrace(trace) {
+  return trace.map((t) => ({ ...t, matched: [...t.matched] }));
+}
+
+function cloneProvenance(provenance) {
+  const out = {};
+  for (const [k, p] of Object.entries(provenance || {})) {
+    out[k] = { ...p, sources: p.sources.map((x) => ({ ...x, answer: cloneAnswer(x.answer) })) };
+  }
+  return out;
+}
+
+function cloneAnswer(v) {
+  return Array.isArray(v) ? [...v] : v;
+}
+
+function cloneAnswers(answers) {
+  const out = {};
+  for (const [k, v] of Object.entries(answers || {})) {
+    out[k] = Array.isArray(v) ? [...v] : v;
+  }
+  return out;
+}
@@ -0,0 +1,214 @@
+/* ==========================================================================
+   match/household.js — AdoptMatch / Bonzo-app
+   Household mode: every member answers the quiz as their own saved profile,
+   then the members' matching profiles are merged into one joint profile
+   that runs through the normal pipeline (computeMatches with `profile`).
+
+   Each trait is merged with a policy:
+   - "cautious": what the least able / least willing member can give —
+     the lowest value, or the highest for traits where a bigger number asks
+     more of the dog (HIGH_IS_CAUTIOUS: guests, kids)
+   - "average": mean of the members' values
+   - "relaxed": the opposite of cautious
+
+   Flags are unioned: one member bothered by barking is enough to keep vocal
+   dogs out. Rules that test `user.answers` only see answers every member
+   gave alike. A member's "not sure" doesn't count for a trait; a trait is
+   uncertain only when every member was unsure about it.
+
+   Members disagree when their values for a trait are DISAGREEMENT_GAP or
+   more apart, or when some but not all of them raise a flag.
+
+   Exports:
+   - MERGE_POLICIES
+   - DEFAULT_MERGE_POLICIES
+   - mergeProfiles(members, { policies, questions })
+   - mergeWeights(weightSets)
+   - describeFlagDisagreement(disagreement)
+   ========================================================================== */
+
+import { getQuestions } from "../data/questions.js";
+import { TRAITS, DEFAULT_WEIGHTS } from "./scoring.js";
+
+export const MERGE_POLICIES = ["cautious", "average", "relaxed"];
+
+/**
+ * Starting policy per trait — tolerances and living situation take the
+ * most careful answer, activity meets in the middle.
+ */
+export const DEFAULT_MERGE_POLICIES = {
+  T1: "average",
+  T2: "cautious",
+  T3: "cautious",
+  T4: "cautious",
+  T5: "cautious",
+  T6: "cautious",
+  T7: "cautious",
+  T8: "cautious",
+  T9: "cautious",
+  T10: "cautious",
+};
+
+// User values where higher means the dog has to cope with more
+const HIGH_IS_CAUTIOUS = ["T3", "T10"];
+
+// Trait values this far apart (0..4 scale) are worth talking about
+const DISAGREEMENT_GAP = 2;
+
+// "Sam is bothered by barking, Alex is not."
+const FLAG_PHRASES = {
+  noise_sensitive: "bothered by barking",
+  shedding_sensitive: "bothered by shedding",
+  grooming_sensitive: "put off by regular grooming",
+  high_alone_time: "away 8+ hours a day",
+  alone_without_support: "planning long days alone without support",
+  cat_home: "counting a cat at home",
+  kids_home: "counting kids living at home",
+  frequent_guests: "expecting guests several times a week",
+  stairs_high: "expecting 3+ floors of stairs",
+};
+
+/**
+ * Merge members' matching profiles into one household profile.
+ *
+ * @param {Array<{ id: string, name: string, profile: { traits: object, flags: string[], answers: object, uncertain?: object } }>} members
+ *   profile - as built by buildUserProfile()
+ * @param {{ policies?: {[trait:string]: string}, questions?: Array }} [options]
+ *   policies - per-trait overrides of DEFAULT_MERGE_POLICIES
+ * @returns {{
+ *   traits: {[k:string]: number}, flags: string[], answers: object,
+ *   provenance: object, uncertain: {[k:string]: string[]},
+ *   policies: {[k:string]: string},
+ *   values: {[k:string]: Array<{ id: string, name: string, value: number | null }>},
+ *   disagreements: Array<
+ *     | { kind: "trait", trait: string, values: Array<{ id: string, name: string, value: number }>, merged: number, policy: string }
+ *     | { kind: "flag", flag: string, raisedBy: string[], notBy: string[] }
+ *   >
+ * }}
+ *   values - each member's value per trait (null = unsure)
+ */
+export function mergeProfiles(members, { policies = {}, questions = getQuestions() } = {}) {
+  const list = (members || []).filter((m) => m && m.profile);
+
+  const traits = {};
+  const uncertain = {};
+  const values = {};
+  const resolved = {};
+  const disagreements = [];
+
+  for (const k of TRAITS) {
+    const policy = MERGE_POLICIES.includes(policies[k]) ? policies[k] : DEFAULT_MERGE_POLICIES[k] || "average";
+    resolved[k] = policy;
+
+    values[k] = list.map((m) => ({
+      id: m.id,
+      name: m.name,
+      value: m.profile.uncertain?.[k] ? null : Number(m.profile.traits?.[k] ?? 2),
+    }));
+
+    const known = values[k].filter((v) => v.value !== null);
+    if (known.length === 0) {
+      traits[k] = 2;
+      uncertain[k] = Array.from(new Set(list.flatMap((m) => m.profile.uncertain?.[k] || [])));
+      continue;
+    }
+
+    traits[k] = round1(combine(known.map((v) => v.value), policy, k));
+
+    const nums = known.map((v) => v.value);
+    if (Math.max(...nums) - Math.min(...nums) >= DISAGREEMENT_GAP) {
+      disagreements.push({ kind: "trait", trait: k, values: known, merged: traits[k], policy });
+    }
+  }
+
+  const flags = Array.from(new Set(list.flatMap((m) => m.profile.flags || [])));
+  for (const flag of flags) {
+    const raisedBy = list.filter((m) => (m.profile.flags || []).includes(flag)).map((m) => m.name);
+    if (raisedBy.length < list.length) {
+      const notBy = list.filter((m) => !(m.profile.flags || []).includes(flag)).map((m) => m.name);
+      disagreements.push({ kind: "flag", flag, raisedBy, notBy });
+    }
+  }
+
+  return {
+    traits,
+    flags,
+    answers: sharedAnswers(list.map((m) => m.profile.answers || {}), questions || []),
+    provenance: {},
+    uncertain,
+    policies: resolved,
+    values,
+    disagreements,
+  };
+}
+
+/**
+ * Average the members' weight vectors (null = DEFAULT_WEIGHTS), so each
+ * member's priorities count equally.
+ */
+export function mergeWeights(weightSets) {
+  const sets = (weightSets || []).map((w) => w || DEFAULT_WEIGHTS);
+  if (sets.length === 0) return { ...DEFAULT_WEIGHTS };
+
+  const out = {};
+  for (const k of TRAITS) {
+    const total = sets.reduce((sum, w) => sum + Number(w[k] ?? DEFAULT_WEIGHTS[k] ?? 1), 0);
+    out[k] = round1(total / sets.length);
+  }
+  return out;
+}
+
+/**
+ * Sentence for a flag disagreement: "Sam is bothered by barking, Alex is not."
+ */
+export function describeFlagDisagreement({ flag, raisedBy, notBy }) {
+  const phrase = FLAG_PHRASES[flag] || `flagging “${flag}”`;
+  return `${joinNames(raisedBy)} ${verb(raisedBy)} ${phrase}, ${joinNames(notBy)} ${verb(notBy)} not.`;
+}
+
+/* ==========================================================================
+   Internals
+   ========================================================================== */
+
+function combine(nums, policy, trait) {
+  if (policy === "average") return nums.reduce((sum, v) => sum + v, 0) / nums.length;
+
+  const lowest = (policy === "cautious") !== HIGH_IS_CAUTIOUS.includes(trait);
+  return lowest ? Math.min(...nums) : Math.max(...nums);
+}
+
+// Answers every member gave identically (multi-selects in any order)
+function sharedAnswers(answerSets, questions) {
+  if (answerSets.length === 0) return {};
+
+  const [first, ...rest] = answerSets;
+  const out = {};
+  for (const [qid, answer] of Object.entries(first)) {
+    const unordered = questions.find((q) => q.id === qid)?.type === "multi";
+    if (rest.every((a) => sameAnswer(a[qid], answer, unordered))) {
+      out[qid] = Array.isArray(answer) ? [...answer] : answer;
+    }
+  }
+  return out;
+}
+
+function sameAnswer(a, b, unordered) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length) return false;
+    return unordered ? a.every((x) => b.includes(x)) : a.every((x, i) => x === b[i]);
+  }
+  return a === b;
+}
+
+function joinNames(names) {
+  if (names.length <= 1) return names[0] || "";
+  return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+}
+
+function verb(names) {
+  return names.length > 1 ? "are" : "is";
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
@@ -0,0 +1,156 @@
+/* ==========================================================================
+   match/priorities.js — AdoptMatch / Bonzo-app
+   Adopter priorities → per-user trait weights.
+   Loads priority definitions from /data/priorities.v1.json
+
+   Exports:
+   - loadPriorities()
+   - getPriorities()
+   - getPriorityLevels()
+   - getPrioritiesMeta()
+   - buildWeightsFromPriorities(ratings, { priorities, levels, defaultLevel, base })
+   ========================================================================== */
+
+import { TRAITS, DEFAULT_WEIGHTS } from "./scoring.js";
+
+let _priorities = [];
+let _levels = [];
+let _meta = { version: null, description: null, defaultLevel: null };
+
+const PRIORITIES_URL = "./data/priorities.v1.json";
+
+/**
+ * Load priorities from JSON.
+ * Call once during boot (main.js already does this).
+ */
+export async function loadPriorities() {
+  const res = await fetch(PRIORITIES_URL, { cache: "no-cache" });
+
+  if (!res.ok) {
+    throw new Error(`Failed to load priorities: ${res.status} ${res.statusText}`);
+  }
+
+  const json = await res.json();
+
+  if (!json || !Array.isArray(json.priorities) || !Array.isArray(json.levels)) {
+    throw new Error("Priorities JSON is invalid: expected { priorities: [], levels: [] }");
+  }
+
+  _meta = {
+    version: json.version ?? null,
+    description: json.description ?? null,
+    defaultLevel: json.default_level ?? null,
+  };
+
+  _priorities = json.priorities;
+  _levels = json.levels;
+
+  validatePriorities(_priorities, _levels, _meta.defaultLevel);
+
+  return _priorities;
+}
+
+/**
+ * Get priority definitions (must call loadPriorities first).
+ */
+export function getPriorities() {
+  return _priorities;
+}
+
+/**
+ * Get rating levels (e.g. low / normal / high with multipliers).
+ */
+export function getPriorityLevels() {
+  return _levels;
+}
+
+/**
+ * Get metadata for the priorities file.
+ */
+export function getPrioritiesMeta() {
+  return _meta;
+}
+
+/**
+ * Turn an adopter's ratings into a weight vector for scoreArchetype.
+ * Each trait's default weight is multiplied by the level multiplier of the
+ * priority that covers it; unrated priorities use the default level.
+ *
+ * @param {{[priorityId:string]: string}} ratings - priorityId → levelId
+ * @param {{
+ *   priorities?: Array, levels?: Array, defaultLevel?: string,
+ *   base?: {[k:string]: number}
+ * }} [ctx]
+ * @returns {{[k:string]: number}}
+ */
+export function buildWeightsFromPriorities(ratings, ctx = {}) {
+  const priorities = ctx.priorities ?? _priorities;
+  const levels = ctx.levels ?? _levels;
+  const defaultLevel = ctx.defaultLevel ?? _meta.defaultLevel;
+  const base = ctx.base ?? DEFAULT_WEIGHTS;
+
+  const multiplierFor = (levelId) => {
+    const level = levels.find((l) => l.id === levelId) || levels.find((l) => l.id === defaultLevel);
+    return level ? Number(level.multiplier) : 1;
+  };
+
+  const weights = { ...base };
+
+  for (const p of priorities) {
+    const m = multiplierFor(ratings?.[p.id]);
+    for (const k of p.traits || []) {
+      weights[k] = round1((Number(base[k]) || 0) * m);
+    }
+  }
+
+  return weights;
+}
+
+/* ==========================================================================
+   Validation
+   ========================================================================== */
+
+function validatePriorities(priorities, levels, defaultLevel) {
+  const levelIds = new Set();
+  for (const l of levels) {
+    if (!l || !l.id) throw new Error("Priority level missing id");
+    if (levelIds.has(l.id)) throw new Error(`Duplicate priority level: ${l.id}`);
+    levelIds.add(l.id);
+
+    const m = Number(l.multiplier);
+    if (!Number.isFinite(m) || m < 0) {
+      throw new Error(`Priority level ${l.id} has invalid multiplier: ${l.multiplier}`);
+    }
+  }
+
+  if (defaultLevel && !levelIds.has(defaultLevel)) {
+    throw new Error(`Unknown default priority level: ${defaultLevel}`);
+  }
+
+  const ids = new Set();
+  const covered = new Set();
+  for (const p of priorities) {
+    if (!p || !p.id) throw new Error("Priority missing id");
+    if (ids.has(p.id)) throw new Error(`Duplicate priority id: ${p.id}`);
+    ids.add(p.id);
+
+    if (!p.label) throw new Error(`Priority ${p.id} missing label`);
+    if (!Array.isArray(p.traits) || p.traits.length === 0) {
+      throw new Error(`Priority ${p.id} must list at least one trait`);
+    }
+
+    for (const k of p.traits) {
+      if (!TRAITS.includes(k)) throw new Error(`Priority ${p.id} has unknown trait ${k}`);
+      if (covered.has(k)) throw new Error(`Trait ${k} is covered by more than one priority`);
+      covered.add(k);
+    }
+  }
+}
+
+/* ==========================================================================
+   Helpers
+   ========================================================================== */
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
@@ -0,0 +1,256 @@
+/* ==========================================================================
+   match/profile.js — AdoptMatch / Bonzo-app
+   Pure user-profile builder: raw answers + question set → traits + flags.
+   No storage or DOM access, so it can run anywhere the engine runs.
+
+   When several answers touch the same trait they are combined, not
+   overwritten: first within a question (`aggregate` on the question, e.g.
+   "sum" for support options), then across questions (`trait_aggregation`
+   at the top of the questions file). Both default to "override".
+   Across questions, "sum" adds onto the first question that drives the
+   trait (e.g. support on top of alone time); if that one is unanswered,
+   the neutral value stands in for it, so a lone add-on can't drag the
+   trait below neutral.
+
+   Flags are data-driven too: options and numeric bands list the `flags`
+   they emit, then `derived_flags` conditions run over the finished profile.
+
+   A "not sure" answer (allow_unsure questions) contributes nothing; traits
+   that only such answers would have set stay neutral and are listed under
+   `uncertain`, so scoring can lean on them less.
+
+   Exports:
+   - buildUserProfile(answers, questions, { traitAggregation, derivedFlags })
+   - numericBand(question, value)
+   ========================================================================== */
+
+import { pruneHiddenAnswers, getQuestionsMeta, questionTraits, UNSURE_ANSWER } from "../data/questions.js";
+import { evaluateCondition } from "./conditions.js";
+
+/**
+ * Build user profile used by matching:
+ * - traits: T1..T10 (0..4 targets)
+ * - flags: string[] (derived risks/conditions)
+ * - answers: answers to visible questions (hidden ones are pruned)
+ * - provenance: per touched trait, the strategy used and the answers that
+ *   produced the final value (untouched traits stay neutral and are absent)
+ * - uncertain: trait → ids of "not sure" questions that left it undecided
+ *
+ * This function:
+ * 1) Starts with neutral traits (2)
+ * 2) Collects trait values encoded in question options (or, for slider /
+ *    ranking / numeric questions, in the question's own mapping)
+ * 3) Aggregates them per question, then per trait
+ * 4) Collects flags declared by the chosen options / bands, then adds
+ *    derived flags whose conditions hold
+ *
+ * @param {{[questionId:string]: string|string[]|number}} answers
+ * @param {Array} questions
+ * @param {{traitAggregation?: {[trait:string]: string}, derivedFlags?: Array}} [ctx]
+ * @returns {{
+ *   traits:{[k:string]:number}, flags:string[], answers:object,
+ *   provenance:{[k:string]: {
+ *     value:number, strategy:string,
+ *     sources:Array<{questionId:string, optionId:string|null, answer:any, value:number}>
+ *   }},
+ *   uncertain:{[k:string]: string[]}
+ * }}
+ */
+export function buildUserProfile(answers, questions, ctx = {}) {
+  const qs = Array.isArray(questions) ? questions : [];
+  const a = pruneHiddenAnswers(answers || {}, qs);
+  const traitAggregation = ctx.traitAggregation ?? getQuestionsMeta().traitAggregation ?? {};
+  const derivedFlags = ctx.derivedFlags ?? getQuestionsMeta().derivedFlags ?? [];
+
+  const traits = neutralTraits();
+  const flags = new Set();
+
+  // trait → [{ questionId, strategy, sources[] }] in question order
+  const groups = {};
+  // trait → question ids answered "not sure"
+  const unsure = {};
+
+  for (const q of qs) {
+    const ans = a[q.id];
+    if (ans == null || ans === "") continue;
+
+    if (q.allow_unsure && ans === UNSURE_ANSWER) {
+      for (const k of questionTraits(q)) (unsure[k] ||= []).push(q.id);
+      continue;
+    }
+
+    const byTrait = {};
+    for (const c of collectContributions(q, ans, flags)) {
+      (byTrait[c.trait] ||= []).push({ questionId: q.id, optionId: c.optionId, answer: c.answer, value: c.value });
+    }
+
+    for (const [k, sources] of Object.entries(byTrait)) {
+      (groups[k] ||= []).push({ questionId: q.id, strategy: q.aggregate || "override", sources });
+    }
+  }
+
+  const provenance = {};
+
+  for (const [k, list] of Object.entries(groups)) {
+    const strategy = traitAggregation[k] || "override";
+    const perQuestion = list.map((g) => ({ ...g, value: aggregate(g.sources.map((x) => x.value), g.strategy) }));
+    const used = strategy === "override" ? perQuestion.slice(-1) : perQuestion;
+
+    const values = perQuestion.map((g) => g.value);
+    if (strategy === "sum" && list[0].questionId !== baseQuestionId(qs, k)) values.unshift(neutralTraits()[k]);
+
+    traits[k] = clamp(aggregate(values, strategy), 0, 4);
+    provenance[k] = {
+      value: traits[k],
+      strategy,
+      sources: used.flatMap((g) => (g.strategy === "override" ? g.sources.slice(-1) : g.sources)),
+    };
+  }
+
+  // Clamp traits to 0..4
+  for (const k of Object.keys(traits)) {
+    traits[k] = clamp(traits[k], 0, 4);
+  }
+
+  // A concrete answer elsewhere settles the trait
+  const uncertain = {};
+  for (const [k, ids] of Object.entries(unsure)) {
+    if (!groups[k]) uncertain[k] = ids;
+  }
+
+  // Derived flags see earlier ones, so they can build on each other
+  for (const d of derivedFlags) {
+    if (evaluateCondition(d.when, { answers: a, traits, flags: Array.from(flags) })) flags.add(d.flag);
+  }
+
+  return {
+    traits,
+    flags: Array.from(flags),
+    answers: a,
+    provenance,
+    uncertain,
+  };
+}
+
+/**
+ * Band a numeric answer falls into, or null for a non-number.
+ * Exported for counterfactual/search code that reasons about numeric answers.
+ */
+export function numericBand(question, value) {
+  const n = Number(value);
+  if (value === "" || value == null || !Number.isFinite(n)) return null;
+
+  const bands = question.bands || [];
+  return bands.find((b, i) => i === bands.length - 1 || n < Number(b.below)) ?? null;
+}
+
+/* ==========================================================================
+   Internals
+   ========================================================================== */
+
+/**
+ * Trait values one answer produces, as { trait, value, optionId, answer }.
+ * Flags declared by the chosen options / band are added to `flags` on the way.
+ */
+function collectContributions(q, ans, flags) {
+  if (q.type === "multi") {
+    const selected = Array.isArray(ans) ? ans : [];
+    return selected.flatMap((optId) => optionContributions(q, optId, flags));
+  }
+  if (q.type === "slider") return sliderContributions(q, ans);
+  if (q.type === "ranking") return rankingContributions(q, ans);
+  if (q.type === "numeric") return numericContributions(q, ans, flags);
+  return optionContributions(q, ans, flags);
+}
+
+function optionContributions(question, optionId, flags) {
+  const opt = (question.options || []).find((o) => o.id === optionId);
+  if (!opt) return [];
+
+  for (const f of opt.flags || []) flags.add(f);
+  return traitContributions(opt.traits, { optionId, answer: optionId });
+}
+
+function traitContributions(t, source) {
+  if (!t) return [];
+
+  // Trait values (direct targets) for T1..T10 if present
+  return Object.entries(t)
+    .filter(([k]) => k.startsWith("T"))
+    .map(([k, v]) => ({ trait: k, value: clamp(Number(v), 0, 4), ...source }));
+}
+
+// slider: the value is the trait target
+function sliderContributions(question, value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return [];
+  return [{ trait: question.trait, value: clamp(n, 0, 4), optionId: null, answer: n }];
+}
+
+// ranking: position i sets the option's trait to rank_values[i]
+function rankingContributions(question, order) {
+  if (!Array.isArray(order)) return [];
+
+  const values = question.rank_values || [];
+  const options = question.options || [];
+  const out = [];
+
+  for (const optId of order) {
+    const opt = options.find((o) => o.id === optId);
+    if (!opt) continue;
+
+    const v = values[Math.min(out.length, values.length - 1)];
+    out.push({ trait: opt.trait, value: clamp(Number(v), 0, 4), optionId: optId, answer: order });
+  }
+  return out;
+}
+
+// numeric: first band whose `below` exceeds the value (last band is open-ended)
+function numericContributions(question, value, flags) {
+  const band = numericBand(question, value);
+  if (!band) return [];
+
+  for (const f of band.flags || []) flags.add(f);
+  return traitContributions(band.traits, { optionId: null, answer: Number(value) });
+}
+
+function aggregate(values, strategy) {
+  if (values.length === 0) return 2;
+
+  switch (strategy) {
+    case "min":
+      return Math.min(...values);
+    case "max":
+      return Math.max(...values);
+    case "average":
+      return values.reduce((sum, v) => sum + v, 0) / values.length;
+    case "sum":
+      return values.reduce((sum, v) => sum + v, 0);
+    default:
+      return values[values.length - 1];
+  }
+}
+
+// First question (file order) that drives a trait: what a "sum" adds onto
+function baseQuestionId(questions, trait) {
+  return questions.find((q) => questionTraits(q).includes(trait))?.id ?? null;
+}
+
+function neutralTraits() {
+  return {
+    T1: 2,
+    T2: 2,
+    T3: 2,
+    T4: 2,
+    T5: 2,
+    T6: 2,
+    T7: 2,
+    T8: 2,
+    T9: 2,
+    T10: 2,
+  };
+}
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
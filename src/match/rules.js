@@ -2,120 +2,143 @@
    rules.js — AdoptMatch
    Hard filters + soft penalties based on user answers/risks.
    Goal: remove obvious mismatches before scoring.
+
+   Rules are data, loaded from /data/rules.v1.json (see match/conditions.js
+   for the condition language). Each rule either blocks an archetype or
+   applies a score penalty when its `when` condition matches.
+
+   Exports:
+   - loadRules()
+   - getRules()
+   - getRulesMeta()
+   - RULE_MODES
+   - evaluateArchetypeRules({ archetype, user, rules, mode })
+   - applyPenalties(baseScore, penalties)
+   - filterArchetypes(archetypes, user, { rules, mode })
+   - findUnreachableFlags(producibleFlags, rules)
    ========================================================================== */
 
+import { evaluateCondition, traceCondition, validateCondition, collectFacts } from "./conditions.js";
+import { traitRange, traitMidpoint } from "./archetypes.js";
+
+let _rules = [];
+let _meta = { version: null, description: null };
+
+const RULES_URL = "./data/rules.v1.json";
+const RULE_ACTIONS = ["block", "penalty"];
+const FACT_ROOTS = ["user", "archetype"];
+
+/**
+ * Evaluation modes:
+ * - "first": stop at the first blocking rule (default, cheapest)
+ * - "full":  run every rule and return a complete per-rule trace
+ */
+export const RULE_MODES = ["first", "full"];
+
+/**
+ * Load rules from JSON.
+ * Call once during boot (main.js already does this).
+ */
+export async function loadRules() {
+  const res = await fetch(RULES_URL, { cache: "no-cache" });
+
+  if (!res.ok) {
+    throw new Error(`Failed to load rules: ${res.status} ${res.statusText}`);
+  }
+
+  const json = await res.json();
+
+  if (!json || !Array.isArray(json.rules)) {
+    throw new Error("Rules JSON is invalid: expected { rules: [] }");
+  }
+
+  _meta = {
+    version: json.version ?? null,
+    description: json.description ?? null,
+  };
+
+  _rules = json.rules;
+
+  validateRules(_rules);
+
+  return _rules;
+}
+
+/**
+ * Get the loaded rule list (must call loadRules first).
+ */
+export function getRules() {
+  return _rules;
+}
+
+/**
+ * Get metadata for the rule set.
+ */
+export function getRulesMeta() {
+  return _meta;
+}
+
 /**
  * Rule outputs:
  * - allowed: boolean
  * - reasons: array of strings (for transparency / "avoid" list)
- * - penalties: optional numeric adjustments (soft rules)
+ * - penalties: optional numeric adjustments (soft rules):
+ *   { key, delta, reason } — reason is the rule's text, or null
+ * - trace: (mode "full" only) one entry per rule:
+ *   { ruleId, outcome: "block"|"penalty"|"pass", matched: string[], delta, reason }
+ *
+ * Rules run in file order. In "first" mode the first matching "block" rule
+ * ends evaluation; in "full" mode every rule runs, so a blocked archetype
+ * reports every rule it fails and keeps the penalties gathered along the way.
  */
-export function evaluateArchetypeRules({ archetype, user }) {
+export function evaluateArchetypeRules({ archetype, user, rules = getRules(), mode = "first" }) {
   const reasons = [];
   const penalties = [];
+  const full = mode === "full";
+  const trace = [];
+  let allowed = true;
 
-  // Convenience
-  const tags = new Set(archetype.tags || []);
-  const risks = new Set(archetype.risks || []);
-  const userFlags = new Set(user.flags || []);
-  const userTraits = user.traits || {};
-  const userAnswers = user.answers || {};
-
-  // --------------------------------------------------------------------------
-  // R1: High alone-time + no support → avoid separation-sensitive profiles
-  // --------------------------------------------------------------------------
-  const highAlone = userFlags.has("high_alone_time") || userTraits.T5 === 0;
-  const hasSupport = hasAnySupport(userAnswers);
-  if (highAlone && !hasSupport) {
-    // Avoid archetypes with separation sensitivity (and also very high-energy/engagement needs)
-    if (risks.has("separation_sensitivity") || tags.has("high_energy")) {
-      reasons.push("Long alone time without support increases risk of distress.");
-      return { allowed: false, reasons, penalties };
-    }
+  const context = {
+    archetype: ruleArchetype(archetype),
+    user: {
+      traits: user.traits || {},
+      flags: user.flags || [],
+      answers: user.answers || {},
+    },
+  };
 
-    // Soft penalty for most profiles (still possible, but less ideal)
-    penalties.push({ key: "alone_time_no_support", delta: -6 });
-  }
+  for (const rule of rules || []) {
+    const { result, matched } = full
+      ? traceCondition(rule.when, context)
+      : { result: evaluateCondition(rule.when, context), matched: [] };
 
-  // --------------------------------------------------------------------------
-  // R2: Cat at home + low experience + low training commitment → avoid prey-drive
-  // --------------------------------------------------------------------------
-  const catHome = userFlags.has("cat_home");
-  const lowExperience = (userTraits.T2 ?? 2) <= 1; // 0-1 = beginner-ish
-  const lowTraining = userFlags.has("low_training_commitment");
-
-  if (catHome && (lowExperience || lowTraining)) {
-    if (risks.has("high_prey_drive")) {
-      reasons.push("Cat at home + beginner/low training increases prey-drive risk.");
-      return { allowed: false, reasons, penalties };
-    }
-  }
+    const outcome = result ? rule.action : "pass";
+    const delta = outcome === "penalty" ? Number(rule.delta) || 0 : 0;
 
-  // --------------------------------------------------------------------------
-  // R3: Minimal barking tolerance + thin walls → avoid vocal archetypes
-  // --------------------------------------------------------------------------
-  const noiseSensitive = userFlags.has("noise_sensitive") || (userTraits.T6 ?? 2) === 0;
-  if (noiseSensitive) {
-    // "vocal" archetypes: spitz, many hounds, many terriers
-    if (risks.has("noise") || risks.has("vocal") || risks.has("barking")) {
-      reasons.push("Noise-sensitive household is a poor fit for vocal profiles.");
-      return { allowed: false, reasons, penalties };
+    if (full) {
+      trace.push({ ruleId: rule.id, outcome, matched, delta, reason: rule.reason || null });
     }
 
-    // soft penalty if archetype has high noise trait (T6=4 means very noisy profile)
-    if ((archetype.traits?.T6 ?? 2) >= 3) penalties.push({ key: "noise_sensitive", delta: -8 });
-  }
-
-  // --------------------------------------------------------------------------
-  // R4: Minimal shedding only → avoid high-shedding archetypes
-  // --------------------------------------------------------------------------
-  const sheddingSensitive = userFlags.has("shedding_sensitive") || (userTraits.T7 ?? 2) === 0;
-  if (sheddingSensitive) {
-    // High shedding is a mismatch if user wants minimal shedding
-    if (risks.has("high_shedding") || (archetype.traits?.T7 ?? 2) >= 3) {
-      reasons.push("Low shedding preference conflicts with heavy-shedding profiles.");
-      return { allowed: false, reasons, penalties };
+    if (outcome === "block") {
+      reasons.push(rule.reason);
+      allowed = false;
+      if (!full) return { allowed, reasons, penalties };
     }
-  }
 
-  // --------------------------------------------------------------------------
-  // R5: Kids in home + frequent hosting + first-time → remove highest-difficulty profiles
-  // --------------------------------------------------------------------------
-  const kidsHome = (userAnswers.children === "kids_home") || userFlags.has("kids_home");
-  const frequentHosting = userAnswers.hosting === "guests_often" || userFlags.has("frequent_guests");
-  const firstTime = userAnswers.experience === "first_time" || (userTraits.T2 ?? 2) === 0;
-
-  if (kidsHome && frequentHosting && firstTime) {
-    // Exclude very high difficulty + high energy combos
-    const veryHighDifficulty = (archetype.traits?.T2 ?? 2) >= 3;
-    const veryHighEnergy = (archetype.traits?.T1 ?? 2) >= 3;
-
-    if (veryHighDifficulty && veryHighEnergy) {
-      reasons.push("High-difficulty, high-energy profiles are risky for first-time families with lots of guests.");
-      return { allowed: false, reasons, penalties };
-    }
-  }
-
-  // --------------------------------------------------------------------------
-  // R6: 3+ floors stairs + large dog preference → soft penalty for very large/senior
-  // --------------------------------------------------------------------------
-  const stairsHigh = userFlags.has("stairs_high") || userAnswers.stairs_elevator === "stairs_high";
-  if (stairsHigh) {
-    const isLargeOnly = Array.isArray(archetype.size) && archetype.size.length === 1 && archetype.size[0] === "large";
-    if (isLargeOnly || archetype.id === "senior_dog") {
-      penalties.push({ key: "stairs_high_mobility", delta: -5 });
+    if (outcome === "penalty") {
+      penalties.push({ key: rule.key || rule.id, delta, reason: rule.reason || null });
     }
   }
 
   // If no exclusion, allowed
-  return { allowed: true, reasons, penalties };
+  return full ? { allowed, reasons, penalties, trace } : { allowed, reasons, penalties };
 }
 
 /**
  * Apply rule penalties to a numeric score.
  * @param {number} baseScore
- * @param {Array<{key:string, delta:number}>} penalties
- * @returns {{score:number, applied:Array<{key:string, delta:number}>}}
+ * @param {Array<{key:string, delta:number, reason?:string|null}>} penalties
+ * @returns {{score:number, applied:Array<{key:string, delta:number, reason?:string|null}>}}
  */
 export function applyPenalties(baseScore, penalties = []) {
   let s = baseScore;
@@ -130,19 +153,26 @@ export function applyPenalties(baseScore, penalties = []) {
  * Filter archetypes based on rules.
  * @param {Array} archetypes
  * @param {{traits:object, flags:string[], answers:object}} user
+ * @param {{ rules?: Array, mode?: "first"|"full" }} [options]
+ *   rules - defaults to the loaded rule set
+ *   mode  - "full" adds `trace` (and penalties on blocked entries)
  * @returns {{
- *   allowed: Array<{archetype:any, reasons:string[], penalties:any[]}>,
- *   blocked: Array<{archetype:any, reasons:string[]}>
+ *   allowed: Array<{archetype:any, reasons:string[], penalties:any[], trace?:any[]}>,
+ *   blocked: Array<{archetype:any, reasons:string[], penalties?:any[], trace?:any[]}>
  * }}
  */
-export function filterArchetypes(archetypes, user) {
+export function filterArchetypes(archetypes, user, { rules = getRules(), mode = "first" } = {}) {
   const allowed = [];
   const blocked = [];
 
   for (const archetype of archetypes) {
-    const res = evaluateArchetypeRules({ archetype, user });
+    const res = evaluateArchetypeRules({ archetype, user, rules, mode });
+    const extra = mode === "full" ? { trace: res.trace } : {};
+
     if (res.allowed) {
-      allowed.push({ archetype, reasons: res.reasons || [], penalties: res.penalties || [] });
+      allowed.push({ archetype, reasons: res.reasons || [], penalties: res.penalties || [], ...extra });
+    } else if (mode === "full") {
+      blocked.push({ archetype, reasons: res.reasons, penalties: res.penalties, ...extra });
     } else {
       blocked.push({ archetype, reasons: res.reasons || ["Not a fit"] });
     }
@@ -152,16 +182,85 @@ export function filterArchetypes(archetypes, user) {
 }
 
 /* ==========================================================================
-   Support detection
+   Internals
    ========================================================================== */
 
-function hasAnySupport(answers) {
-  const s = answers.support_system;
-  if (!s) return false;
-  if (Array.isArray(s)) {
-    return s.some((x) => x && x !== "none");
+/**
+ * Archetype as seen by rule facts: range traits collapse to their midpoint
+ * under `traits`, with the full ranges under `traitRanges`
+ * (e.g. "archetype.traitRanges.T6.max").
+ */
+function ruleArchetype(archetype) {
+  const traits = {};
+  const traitRanges = {};
+  for (const [k, v] of Object.entries(archetype?.traits || {})) {
+    traits[k] = traitMidpoint(v);
+    traitRanges[k] = traitRange(v);
+  }
+  return { ...archetype, traits, traitRanges };
+}
+
+/* ==========================================================================
+   Validation
+   ========================================================================== */
+
+/**
+ * Flags tested by rules (`user.flags`) that no question can ever emit.
+ * Not an error — a rule may wait for a question that isn't written yet —
+ * but such a condition can never match, so boot warns about it.
+ *
+ * @param {Set<string>} producibleFlags - see getProducibleFlags() in data/questions.js
+ * @param {Array} [rules]
+ * @returns {Array<{ruleId:string, flag:string}>}
+ */
+export function findUnreachableFlags(producibleFlags, rules = getRules()) {
+  const out = [];
+
+  for (const r of rules || []) {
+    for (const leaf of collectFacts(r.when)) {
+      if (leaf.fact !== "user.flags") continue;
+
+      const values = Array.isArray(leaf.value) ? leaf.value : [leaf.value];
+      for (const flag of values) {
+        if (typeof flag !== "string" || producibleFlags.has(flag)) continue;
+        if (!out.some((x) => x.ruleId === r.id && x.flag === flag)) out.push({ ruleId: r.id, flag });
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Validate rule collection shape to fail fast on bad JSON.
+ * @param {any[]} rules
+ */
+function validateRules(rules) {
+  const ids = new Set();
+
+  for (const r of rules) {
+    if (!r || typeof r !== "object") {
+      throw new Error("Rule entry must be an object");
+    }
+
+    if (!r.id || typeof r.id !== "string") throw new Error("Rule missing id");
+    if (ids.has(r.id)) throw new Error(`Duplicate rule id: ${r.id}`);
+    ids.add(r.id);
+
+    if (!RULE_ACTIONS.includes(r.action)) {
+      throw new Error(`Rule ${r.id} has invalid action: ${r.action}`);
+    }
+
+    if (r.action === "block" && (!r.reason || typeof r.reason !== "string")) {
+      throw new Error(`Rule ${r.id} blocks but has no reason`);
+    }
+
+    if (r.action === "penalty" && !Number.isFinite(Number(r.delta))) {
+      throw new Error(`Rule ${r.id} penalty needs a numeric delta`);
+    }
+
+    validateCondition(r.when, { where: `Rule ${r.id}`, roots: FACT_ROOTS });
   }
-  return s !== "none";
 }
 
 /* ==========================================================================
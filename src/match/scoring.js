@@ -2,8 +2,22 @@
    scoring.js — AdoptMatch
    Weighted distance scoring between user trait targets and archetype traits.
    Output is 0..100-ish where higher = better fit.
+
+   Per-trait distance comes from a pluggable scoring model; only
+   "symmetric" (|a - u|, the default) is registered. createDirectionalModel
+   builds an asymmetric one where over-capacity (archetype above the user)
+   costs more than under-capacity, e.g. from TRAIT_DIRECTIONS; register it
+   and pass `options.scoringModel` to computeMatches to use it.
+
+   Archetype traits may be ranges ({min,max} / {mean,spread}): any user value
+   inside the range counts as zero distance, and the far end of the range
+   gives the low end of the reported score band.
+
+   Traits the adopter was unsure about count at UNSURE_WEIGHT of their weight.
    ========================================================================== */
 
+import { traitRange } from "./archetypes.js";
+
 /**
  * Trait keys used throughout the app.
  * T1..T10 are defined in our spec.
@@ -21,6 +35,22 @@ export const TRAITS = [
   "T10", // kids/household fit
 ];
 
+/**
+ * Short, archetype-facing labels for each trait (for detail / compare UI).
+ */
+export const TRAIT_LABELS = {
+  T1: "Exercise needs",
+  T2: "Handling difficulty",
+  T3: "Sociability with guests",
+  T4: "Other-pet compatibility",
+  T5: "Copes with alone time",
+  T6: "Noise level",
+  T7: "Shedding",
+  T8: "Grooming needs",
+  T9: "Apartment fit",
+  T10: "Kid-friendliness",
+};
+
 /**
  * Weights — tune these as you learn from users.
  * Higher weight = stronger influence on match.
@@ -38,45 +68,124 @@ export const DEFAULT_WEIGHTS = {
   T10: 3,
 };
 
+/**
+ * Direction multipliers for a directional model (see createDirectionalModel).
+ * over  - cost per point when the archetype is ABOVE the user value
+ *         (needs more exercise / is harder / noisier than the household can give)
+ * under - cost per point when the archetype is BELOW the user value
+ * Traits not listed stay symmetric (their scales aren't capacity-shaped).
+ */
+export const TRAIT_DIRECTIONS = {
+  T1: { over: 1, under: 0.5 }, // calmer than our routine is fine-ish
+  T2: { over: 1, under: 0.25 }, // easier than our experience is fine
+  T6: { over: 1, under: 0 }, // quieter never hurts
+  T7: { over: 1, under: 0 }, // sheds less never hurts
+  T8: { over: 1, under: 0 }, // less grooming never hurts
+  T10: { over: 0.25, under: 1 }, // less kid-suited than the household needs
+};
+
+/**
+ * Weight multiplier for traits the adopter answered "not sure" on:
+ * the neutral guess still counts, just less.
+ */
+export const UNSURE_WEIGHT = 0.5;
+
+export const DEFAULT_SCORING_MODEL = "symmetric";
+
+const _models = new Map();
+
+/**
+ * Register a scoring model.
+ * A model maps one trait comparison to a distance in 0..4 (0 = perfect).
+ *
+ * @param {string} id
+ * @param {(userValue:number, archetypeValue:number, traitKey:string) => number} distance
+ */
+export function registerScoringModel(id, distance) {
+  const key = String(id || "").trim();
+  if (!key) throw new Error("Scoring model needs an id");
+  if (typeof distance !== "function") {
+    throw new Error(`Scoring model ${key} must be a function`);
+  }
+  _models.set(key, distance);
+}
+
+/**
+ * Look up a registered scoring model.
+ * @param {string} [id]
+ */
+export function getScoringModel(id = DEFAULT_SCORING_MODEL) {
+  const model = _models.get(id);
+  if (!model) throw new Error(`Unknown scoring model: ${id}`);
+  return model;
+}
+
+/**
+ * Build a one-sided / asymmetric model from per-trait direction multipliers.
+ * Use { over: 1, under: 0 } for one-sided traits.
+ *
+ * @param {{[k:string]: {over:number, under:number}}} directions
+ */
+export function createDirectionalModel(directions) {
+  return (u, a, key) => {
+    const dir = directions[key];
+    if (!dir) return Math.abs(a - u);
+    return a > u ? (a - u) * safeNum(dir.over, 1) : (u - a) * safeNum(dir.under, 1);
+  };
+}
+
+registerScoringModel("symmetric", (u, a) => Math.abs(a - u));
+
 /**
  * Score an archetype for a given user profile.
  *
  * @param {{[k:string]: number}} userTraits - target values 0..4
- * @param {{[k:string]: number}} archetypeTraits - values 0..4
+ * @param {{[k:string]: number|{min:number,max:number}}} archetypeTraits - values 0..4 (point or range)
  * @param {{[k:string]: number}} [weights]
+ * @param {{ model?: string, uncertain?: string[] }} [options]
+ *   model     - scoring model id (default "symmetric")
+ *   uncertain - trait keys weighted by UNSURE_WEIGHT
  * @returns {{
  *   score: number,
+ *   band: { min: number, max: number },
  *   maxPenalty: number,
  *   penalty: number,
  *   diffs: Record<string, number>
  * }}
+ *   score / diffs use the closest point of each range (best case);
+ *   band.min uses the farthest point (worst case), band.max === score.
  */
-export function scoreArchetype(userTraits, archetypeTraits, weights = DEFAULT_WEIGHTS) {
+export function scoreArchetype(userTraits, archetypeTraits, weights = DEFAULT_WEIGHTS, options = {}) {
+  const distance = getScoringModel(options.model);
+  const dist = (u, a, key) => clamp01To04(safeNum(distance(u, a, key), 0));
+  const uncertain = new Set(options.uncertain || []);
   const diffs = {};
   let penalty = 0;
+  let worstPenalty = 0;
   let maxPenalty = 0;
 
   for (const key of TRAITS) {
-    const w = safeNum(weights[key], 0);
+    const w = safeNum(weights[key], 0) * (uncertain.has(key) ? UNSURE_WEIGHT : 1);
     if (w <= 0) continue;
 
     const u = clamp01To04(safeNum(userTraits[key], 2)); // default neutral
-    const a = clamp01To04(safeNum(archetypeTraits[key], 2));
+    const { min, max } = traitRange(archetypeTraits?.[key]);
 
-    const d = Math.abs(a - u);
+    // Closest point of the range (u itself when inside → zero distance)
+    const d = dist(u, clamp(u, min, max), key);
+    const worst = Math.max(dist(u, min, key), dist(u, max, key));
     diffs[key] = d;
 
     penalty += w * d;
+    worstPenalty += w * worst;
     maxPenalty += w * 4;
   }
 
-  // Convert distance into a normalized "fit score"
-  // 100 = perfect match, 0 = worst match
-  const raw = maxPenalty === 0 ? 0 : 100 * (1 - penalty / maxPenalty);
-  const score = clamp(raw, 0, 100);
+  const score = toFitScore(penalty, maxPenalty);
 
   return {
     score: round1(score),
+    band: { min: round1(toFitScore(worstPenalty, maxPenalty)), max: round1(score) },
     maxPenalty: round1(maxPenalty),
     penalty: round1(penalty),
     diffs,
@@ -90,14 +199,16 @@ export function scoreArchetype(userTraits, archetypeTraits, weights = DEFAULT_WE
  * @param {Array<{id:string, traits:object}>} archetypes
  * @param {{[k:string]:number}} userTraits
  * @param {{[k:string]:number}} [weights]
- * @returns {Array<{id:string, score:number, diffs:object}>}
+ * @param {{ model?: string, uncertain?: string[] }} [options] - passed through to scoreArchetype
+ * @returns {Array<{id:string, score:number, band:{min:number,max:number}, diffs:object}>}
  */
-export function rankArchetypes(archetypes, userTraits, weights = DEFAULT_WEIGHTS) {
+export function rankArchetypes(archetypes, userTraits, weights = DEFAULT_WEIGHTS, options = {}) {
   const scored = archetypes.map((a) => {
-    const res = scoreArchetype(userTraits, a.traits, weights);
+    const res = scoreArchetype(userTraits, a.traits, weights, options);
     return {
       id: a.id,
       score: res.score,
+      band: res.band,
       diffs: res.diffs,
     };
   });
@@ -110,6 +221,13 @@ export function rankArchetypes(archetypes, userTraits, weights = DEFAULT_WEIGHTS
    Helpers
    ========================================================================== */
 
+// Convert distance into a normalized "fit score"
+// 100 = perfect match, 0 = worst match
+function toFitScore(penalty, maxPenalty) {
+  const raw = maxPenalty === 0 ? 0 : 100 * (1 - penalty / maxPenalty);
+  return clamp(raw, 0, 100);
+}
+
 function safeNum(v, fallback) {
   const n = typeof v === "number" ? v : Number(v);
   return Number.isFinite(n) ? n : fallback;
@@ -1,13 +1,37 @@
 /* ==========================================================================
    router.js — AdoptMatch / Bonzo-app
    Minimal hash router:
-   - navigate("welcome" | "quiz" | "results" | "detail:<id>")
-   - initRouter() attaches listeners and renders current route
+   - navigate("welcome" | "quiz" | "quiz:<questionId>" | "priorities" | "review"
+              | "results" | "detail:<id>" | "profiles" | "household"
+              | "shared:<code>" | "print" | "compare:<idA>/<idB>[/<idC>]",
+              { query, replace })
+   - routeHref(route, { query }) → "#/…" for links built elsewhere
+   - initRouter() attaches listeners and renders the route in the URL
+
+   URLs look like #/quiz/<questionId>?mode=quick — every step is linkable.
+   Routes may declare a guard that redirects (e.g. results before the quiz
+   is finished → first unanswered question); unknown routes render 404.
+
+   Screen lifecycle: a renderer may return a disposer (or a promise of one).
+   The router calls it before the next route renders, so window/document
+   listeners and timers never outlive their screen. Scroll position is kept
+   per URL and focus moves to the new screen after every render.
    ========================================================================== */
 
 import { renderWelcomeScreen } from "./screens/screen_welcome.js";
 import { renderQuizScreen } from "./screens/screen_quiz.js";
+import { renderPrioritiesScreen } from "./screens/screen_priorities.js";
+import { renderReviewScreen } from "./screens/screen_review.js";
 import { renderResultsScreen } from "./screens/screen_results.js";
+import { renderProfilesScreen } from "./screens/screen_profiles.js";
+import { renderHouseholdScreen } from "./screens/screen_household.js";
+import { renderPrintScreen } from "./screens/screen_print.js";
+import { renderCompareScreen } from "./screens/screen_compare.js";
+import { renderNotFoundScreen } from "./screens/screen_not_found.js";
+import { getQuestions } from "./data/questions.js";
+import { decodeShareCode } from "./data/share.js";
+import { getArchetypeById } from "./match/archetypes.js";
+import { getState, selectVisibleQuestions, selectOpenQuestion, selectIsComplete } from "./state.js";
 
 // Optional: load detail screen lazily to avoid top-level await (older browsers).
 let renderArchetypeDetailScreen = null;
@@ -27,49 +51,83 @@ function loadDetailScreen() {
   return detailLoadPromise;
 }
 
+/**
+ * Route table. `render` gets ({ param, params, query }) and may return a
+ * disposer; optional `guard` runs first and returns a redirect
+ * ({ route, query? }) or null to continue. `params` holds every path
+ * segment after the route name, `param` the first of them.
+ */
 const ROUTES = {
-  welcome: () => renderWelcomeScreen(),
-  quiz: () => renderQuizScreen(),
-  results: () => renderResultsScreen(),
-  detail: (id) => {
-    loadDetailScreen().then((screen) => {
-      if (typeof screen === "function") {
-        screen(id);
-        return;
-      }
-      // Fallback if detail screen isn't implemented yet
-      const app = document.getElementById("app");
-      if (!app) return;
-      app.innerHTML = `
-        <section class="screen safe-area-padding">
-          <div style="padding:24px;">
-            <h2>Details</h2>
-            <p style="margin-top:12px;">
-              Detail screen isn’t implemented yet.
-            </p>
-            <button id="backToResultsBtn" style="
-              margin-top:16px;
-              padding:12px 14px;
-              border-radius:12px;
-              border:1px solid rgba(0,0,0,.15);
-              background: transparent;
-            ">Back</button>
-          </div>
-        </section>
-      `;
-      document.getElementById("backToResultsBtn")?.addEventListener("click", () => {
-        navigate("results");
-      });
-    });
+  welcome: { render: () => renderWelcomeScreen() },
+  quiz: {
+    guard: guardQuiz,
+    render: ({ param, query }) => renderQuizScreen(param, query),
+  },
+  priorities: { guard: requireCompleteAnswers, render: () => renderPrioritiesScreen() },
+  review: { guard: requireCompleteAnswers, render: () => renderReviewScreen() },
+  results: { guard: requireCompleteAnswers, render: () => renderResultsScreen() },
+  print: { guard: requireCompleteAnswers, render: () => renderPrintScreen() },
+  compare: {
+    guard: guardCompare,
+    render: ({ params }) => renderCompareScreen(params),
   },
+  detail: {
+    guard: guardDetail,
+    render: ({ param }) => renderDetail(param),
+  },
+  profiles: { render: () => renderProfilesScreen() },
+  household: { render: () => renderHouseholdScreen() },
+  shared: {
+    guard: guardShared,
+    render: ({ param }) => renderResultsScreen(decodeShareCode(param)),
+  },
+  "not-found": { render: () => renderNotFoundScreen() },
 };
 
+function renderDetail(id) {
+  return loadDetailScreen().then((screen) => {
+    if (typeof screen === "function") return screen(id);
+
+    // Fallback if detail screen isn't implemented yet
+    const app = document.getElementById("app");
+    if (!app) return;
+    app.innerHTML = `
+      <section class="screen safe-area-padding">
+        <div style="padding:24px;">
+          <h2>Details</h2>
+          <p style="margin-top:12px;">
+            Detail screen isn’t implemented yet.
+          </p>
+          <button id="backToResultsBtn" style="
+            margin-top:16px;
+            padding:12px 14px;
+            border-radius:12px;
+            border:1px solid rgba(0,0,0,.15);
+            background: transparent;
+          ">Back</button>
+        </div>
+      </section>
+    `;
+    document.getElementById("backToResultsBtn")?.addEventListener("click", () => {
+      navigate("results");
+    });
+  });
+}
+
 /**
- * Initialize router: listen to hash changes and render initial route
+ * Initialize router: listen to hash changes and render the current URL
+ * (an empty hash becomes #/welcome).
  */
 export function initRouter() {
   window.addEventListener("hashchange", renderCurrentRoute);
-  window.addEventListener("popstate", renderCurrentRoute);
+
+  // We restore scroll per URL ourselves
+  if ("scrollRestoration" in history) history.scrollRestoration = "manual";
+
+  if (!location.hash) {
+    navigate("welcome", { replace: true });
+    return;
+  }
 
   // Render immediately on init
   renderCurrentRoute();
@@ -77,10 +135,12 @@ export function initRouter() {
 
 /**
  * Navigate to route and render
- * @param {string} route - "welcome" | "quiz" | "results" | "detail:<id>"
+ * @param {string} route - "welcome" | "quiz" | "quiz:<questionId>" | "priorities" | "review" | "results" | "detail:<id>" | "profiles" | "household" | "shared:<code>" | "print" | "compare:<idA>/<idB>[/<idC>]"
+ * @param {{ query?: {[k:string]: string}, replace?: boolean }} [opts]
+ *   replace - swap the current history entry (redirects, URL normalisation)
  */
-export function navigate(route) {
-  const hash = normalizeRouteToHash(route);
+export function navigate(route, { query, replace = false } = {}) {
+  const hash = buildHash(route, query);
 
   // Avoid redundant re-render loops
   if (location.hash === hash) {
@@ -88,55 +148,235 @@ export function navigate(route) {
     return;
   }
 
+  if (replace) {
+    // replaceState doesn't fire hashchange, so render ourselves
+    history.replaceState(history.state, "", hash);
+    renderCurrentRoute();
+    return;
+  }
+
   location.hash = hash;
 }
 
 /**
- * Parse current URL hash and render
+ * Hash for a route, same format as navigate() writes — for share links and
+ * anything else that needs the URL without going there.
+ */
+export function routeHref(route, { query } = {}) {
+  return buildHash(route, query);
+}
+
+/* ==========================================================================
+   Rendering + screen lifecycle
+   ========================================================================== */
+
+// Screen currently on display: { hash, dispose }
+let _current = null;
+// Bumped per render; a screen that redirects while rendering is superseded
+let _renderId = 0;
+// Last scroll position per URL (in-memory, this session only)
+const _scrollByHash = new Map();
+
+/**
+ * Parse current URL hash, run the route guard and render
  */
 function renderCurrentRoute() {
-  const { name, param } = parseHash(location.hash);
+  const { name, param, params, query } = parseHash(location.hash);
+  const route = ROUTES[name] || ROUTES["not-found"];
+
+  const redirect = route.guard ? route.guard({ param, params, query }) : null;
+
+  // Keep a bad link in the address bar so it can be reported as-is
+  if (redirect?.route === "not-found") {
+    mountScreen(ROUTES["not-found"], { param, params, query });
+    return;
+  }
 
-  if (name === "detail") {
-    ROUTES.detail(param);
+  if (redirect) {
+    navigate(redirect.route, { query: redirect.query, replace: true });
     return;
   }
 
-  const fn = ROUTES[name] || ROUTES.welcome;
-  fn();
+  mountScreen(route, { param, params, query });
+}
+
+/**
+ * Unmount the previous screen, render the next one and remember its
+ * disposer; then restore scroll and move focus.
+ */
+function mountScreen(route, params) {
+  unmountScreen();
+
+  const id = ++_renderId;
+  const hash = location.hash;
+  const settle = (dispose) => {
+    const fn = typeof dispose === "function" ? dispose : null;
+
+    // A redirect during render already mounted something newer
+    if (id !== _renderId) {
+      fn?.();
+      return;
+    }
+
+    _current = { hash, dispose: fn };
+    restoreView(hash);
+  };
+
+  const result = route.render(params);
+  if (result && typeof result.then === "function") {
+    result.then(settle, (err) => console.error("Screen failed to render:", err));
+  } else {
+    settle(result);
+  }
+}
+
+function unmountScreen() {
+  if (!_current) return;
+
+  const { hash, dispose } = _current;
+  _current = null;
+
+  _scrollByHash.set(hash, window.scrollY || 0);
+
+  try {
+    dispose?.();
+  } catch (err) {
+    console.error("Screen cleanup failed:", err);
+  }
+}
+
+/**
+ * Returning to a URL (Back, or results ↔ detail) restores where the user
+ * was; new URLs start at the top. Focus goes to the screen itself so screen
+ * readers announce the new content instead of a removed button.
+ */
+function restoreView(hash) {
+  window.scrollTo(0, _scrollByHash.get(hash) ?? 0);
+
+  const app = document.getElementById("app");
+  const screen = app?.querySelector(".screen") || app;
+  if (!screen) return;
+
+  const target = screen.querySelector("[data-autofocus]") || screen;
+  if (target === screen && !screen.hasAttribute("tabindex")) screen.setAttribute("tabindex", "-1");
+  target.focus({ preventScroll: true });
+}
+
+/* ==========================================================================
+   Guards
+   ========================================================================== */
+
+/**
+ * #/quiz/<id>: unknown ids are a 404; hidden questions (showIf) fall back to
+ * wherever the quiz should resume.
+ */
+function guardQuiz({ param }) {
+  if (!param) return null;
+
+  const questions = getQuestions() || [];
+  if (!questions.some((q) => q.id === param)) return { route: "not-found" };
+
+  if (selectVisibleQuestions(getState()).some((q) => q.id === param)) return null;
+
+  return { route: resumeRoute() || "quiz" };
+}
+
+/**
+ * Priorities / review / results / print need a finished quiz; otherwise resume at
+ * the question still waiting for an answer.
+ */
+function requireCompleteAnswers() {
+  const route = resumeRoute();
+  return route ? { route } : null;
+}
+
+function guardDetail({ param }) {
+  return param && getArchetypeById(param) ? null : { route: "not-found" };
+}
+
+// A damaged or unknown-format share link is a 404, kept in the address bar
+function guardShared({ param }) {
+  return param && decodeShareCode(param) ? null : { route: "not-found" };
+}
+
+/**
+ * #/compare/<idA>/<idB>[/<idC>]: two or three different known archetypes,
+ * measured against a finished quiz.
+ */
+function guardCompare({ params }) {
+  const ids = params || [];
+  const valid =
+    ids.length >= 2 &&
+    ids.length <= 3 &&
+    new Set(ids).size === ids.length &&
+    ids.every((id) => getArchetypeById(id));
+
+  return valid ? requireCompleteAnswers() : { route: "not-found" };
+}
+
+/**
+ * Quiz route to resume at, or null when the quiz is done. A fresh adaptive
+ * quiz has no open question yet — the quiz screen picks the first one.
+ */
+function resumeRoute() {
+  const state = getState();
+  if (selectIsComplete(state)) return null;
+
+  const open = selectOpenQuestion(state);
+  return open ? `quiz:${open.id}` : "quiz";
 }
 
 /* ==========================================================================
    Helpers
    ========================================================================== */
 
-function normalizeRouteToHash(route) {
-  const r = String(route || "").trim();
-  if (!r) return "#/welcome";
+function buildHash(route, query) {
+  const r = String(route || "").trim() || "welcome";
+  const [name, ...rest] = r.split(":");
+  const param = rest.join(":");
+
+  // "compare:a/b" → #/compare/a/b; each segment is encoded on its own
+  let hash = `#/${encodeURIComponent(name)}`;
+  if (param) hash += `/${param.split("/").map(encodeURIComponent).join("/")}`;
 
-  if (r.startsWith("detail:")) {
-    const id = r.split(":")[1] || "";
-    return `#/detail/${encodeURIComponent(id)}`;
+  const qs = new URLSearchParams();
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v !== undefined && v !== null && v !== "") qs.set(k, String(v));
   }
+  const search = qs.toString();
 
-  return `#/${encodeURIComponent(r)}`;
+  return search ? `${hash}?${search}` : hash;
 }
 
 function parseHash(hash) {
   // Expected formats:
   // #/welcome
   // #/quiz
+  // #/quiz/<questionId>?mode=quick
+  // #/priorities
+  // #/review
   // #/results
   // #/detail/<id>
+  // #/profiles
+  // #/household
+  // #/shared/<code>
+  // #/print
+  // #/compare/<idA>/<idB>[/<idC>]
   const h = String(hash || "").replace(/^#/, "");
-  const parts = h.split("/").filter(Boolean);
+  const [path, search = ""] = h.split("?");
+  const parts = path.split("/").filter(Boolean);
 
-  const name = decodeURIComponent(parts[0] || "welcome");
+  const query = Object.fromEntries(new URLSearchParams(search));
 
-  if (name === "detail") {
-    const param = decodeURIComponent(parts[1] || "");
-    return { name, param };
+  // A malformed escape (#/detail/%E0) can't name anything: show the 404
+  let name, params;
+  try {
+    name = decodeURIComponent(parts[0] || "welcome");
+    params = parts.slice(1).map(decodeURIComponent);
+  } catch (_) {
+    return { name: "not-found", param: null, params: [], query };
   }
+  const param = params[0] ?? null;
 
-  return { name, param: null };
+  return { name, param, params, query };
 }
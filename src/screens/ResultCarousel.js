@@ -4,6 +4,8 @@
    (Visual-first; minimal text; touch-friendly)
    ========================================================================== */
 
+import { traitMidpoints } from "../match/archetypes.js";
+
 /**
  * Render a horizontal swipe carousel.
  *
@@ -142,7 +144,7 @@ function pickCover(archetype) {
 }
 
 function buildBadges(archetype) {
-  const t = archetype?.traits || {};
+  const t = traitMidpoints(archetype?.traits);
   const badges = [];
 
   if ((t.T9 ?? 2) >= 3) badges.push("Apartment");
@@ -10,7 +10,10 @@
    ========================================================================== */
 
 import { navigate } from "../router.js";
-import { getArchetypeById } from "../match/archetypes.js";
+import { getArchetypeById, traitRange, traitMidpoints, humanizeRisk } from "../match/archetypes.js";
+import { TRAITS, TRAIT_LABELS } from "../match/scoring.js";
+import { getState, selectIsComplete, selectProfile } from "../state.js";
+import { renderTraitRadar } from "../components/TraitRadar.js";
 
 export function renderArchetypeDetailScreen(archetypeId) {
   const app = document.getElementById("app");
@@ -51,6 +54,7 @@ export function renderArchetypeDetailScreen(archetypeId) {
         </div>
 
         ${renderWhySection(why)}
+        ${renderTraitsSection(a)}
         ${renderAskSection(ask)}
         ${breedExamples}
         ${renderRisksSection(risks)}
@@ -75,9 +79,14 @@ export function renderArchetypeDetailScreen(archetypeId) {
     }
   });
 
-  // Basic keyboard open/scroll nicety
-  window.addEventListener("keydown", onKeydownOnce, { once: true });
-  function onKeydownOnce(e) {
+  // Escape closes the detail; listener and toast go when the screen unmounts
+  window.addEventListener("keydown", onKeydown);
+  return () => {
+    window.removeEventListener("keydown", onKeydown);
+    clearToast();
+  };
+
+  function onKeydown(e) {
     if (e.key === "Escape") navigate("results");
   }
 }
@@ -119,6 +128,59 @@ function renderWhySection(why) {
   `;
 }
 
+function renderTraitsSection(archetype) {
+  const rows = TRAITS.map((k) => ({ key: k, ...traitRange(archetype.traits?.[k]) }));
+  const variable = rows.filter((r) => r.max > r.min);
+
+  // Against your answers once the quiz is done; the dog alone before that
+  const state = getState();
+  const user = selectIsComplete(state) ? selectProfile(state) : null;
+
+  return `
+    <div class="detail-section">
+      <div class="detail-section-title">Trait profile</div>
+      ${renderTraitRadar({
+        archetype,
+        userTraits: user?.traits || null,
+        uncertain: Object.keys(user?.uncertain || {}),
+      })}
+      <div class="trait-bars" role="list">
+        ${rows.map(renderTraitBar).join("")}
+      </div>
+      ${
+        variable.length
+          ? `<div class="detail-subtle">
+              Shaded spans show how much this mix can vary from dog to dog —
+              ask the shelter where this individual sits.
+            </div>`
+          : ""
+      }
+    </div>
+  `;
+}
+
+function renderTraitBar(row) {
+  const label = TRAIT_LABELS[row.key] || row.key;
+  const isRange = row.max > row.min;
+  const left = (row.min / 4) * 100;
+  const width = Math.max(((row.max - row.min) / 4) * 100, 0);
+  const valueText = isRange ? `${fmt(row.min)}–${fmt(row.max)} of 4 (varies)` : `${fmt(row.min)} of 4`;
+
+  return `
+    <div class="trait-bar-row" role="listitem" aria-label="${escapeAttr(`${label}: ${valueText}`)}">
+      <div class="trait-bar-label">${escapeHtml(label)}</div>
+      <div class="trait-bar-track" aria-hidden="true">
+        ${
+          isRange
+            ? `<span class="trait-bar-range" style="left:${left}%;width:${width}%"></span>`
+            : `<span class="trait-bar-point" style="left:${left}%"></span>`
+        }
+      </div>
+      <div class="trait-bar-value" aria-hidden="true">${isRange ? `${fmt(row.min)}–${fmt(row.max)}` : fmt(row.min)}</div>
+    </div>
+  `;
+}
+
 function renderAskSection(ask) {
   const items = ask.slice(0, 8);
   if (!items.length) return "";
@@ -238,7 +300,7 @@ function pickCover(archetype) {
 }
 
 function buildBadges(archetype) {
-  const t = archetype?.traits || {};
+  const t = traitMidpoints(archetype?.traits);
   const badges = [];
 
   if ((t.T9 ?? 2) >= 3) badges.push("Apartment-friendly");
@@ -253,25 +315,8 @@ function buildBadges(archetype) {
   return badges.slice(0, 5);
 }
 
-function humanizeRisk(risk) {
-  const map = {
-    separation_sensitivity: "Sensitive to alone time",
-    high_shedding: "Heavy shedding",
-    needs_daily_activity: "Needs daily activity",
-    dog_selective: "May be dog-selective",
-    stigma: "May face stigma",
-    high_grooming: "High grooming needs",
-    understimulation: "Needs mental stimulation",
-    barking: "Can be vocal",
-    vocal: "Can be vocal",
-    noise: "Noise-prone",
-    prey_drive: "Prey drive",
-    high_prey_drive: "High prey drive",
-    recall_challenges: "Recall can be hard",
-    escape_risk: "Escape / roaming risk",
-    health_costs: "Potential health costs"
-  };
-  return map[risk] || String(risk).replaceAll("_", " ");
+function fmt(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(1);
 }
 
 function buildAskClipboardText(archetype) {
@@ -291,8 +336,7 @@ function buildAskClipboardText(archetype) {
 
 let _toastTimer = null;
 function toast(message) {
-  const existing = document.getElementById("toast");
-  if (existing) existing.remove();
+  clearToast();
 
   const el = document.createElement("div");
   el.id = "toast";
@@ -300,12 +344,16 @@ function toast(message) {
   el.textContent = message;
   document.body.appendChild(el);
 
-  clearTimeout(_toastTimer);
   _toastTimer = setTimeout(() => {
     el.remove();
   }, 1400);
 }
 
+function clearToast() {
+  clearTimeout(_toastTimer);
+  document.getElementById("toast")?.remove();
+}
+
 function hapticTick() {
   try {
     if (navigator.vibrate) navigator.vibrate(10);
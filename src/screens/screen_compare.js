@@ -0,0 +1,234 @@
+/* ==========================================================================
+   screen_compare.js — AdoptMatch
+   Side-by-side archetypes (#/compare/<idA>/<idB>[/<idC>]): each one's traits
+   against the adopter's targets, how far off each trait is, penalties,
+   watch-outs, size and tier. Picked from the results carousel.
+   ========================================================================== */
+
+import { navigate } from "../router.js";
+import { getState } from "../state.js";
+import { computeMatches } from "../match/engine.js";
+import { getArchetypeById, traitRange, humanizeRisk } from "../match/archetypes.js";
+import { TRAITS, TRAIT_LABELS, scoreArchetype } from "../match/scoring.js";
+import { renderTraitRadar } from "../components/TraitRadar.js";
+
+/**
+ * Compare screen renderer.
+ * @param {string[]} ids - two or three archetype ids (checked by the router)
+ * @returns {() => void} disposer for the router
+ */
+export function renderCompareScreen(ids) {
+  const app = document.getElementById("app");
+  if (!app) return;
+
+  const state = getState();
+  const report = computeMatches(state.answers, { weights: state.weights || undefined });
+  const user = report.profile;
+  const uncertain = Object.keys(user.uncertain || {});
+
+  const columns = ids.map((id) => {
+    const archetype = getArchetypeById(id);
+    const ranked = report.ranked.find((r) => r.id === id) || null;
+    const blocked = report.blocked.find((b) => b.id === id) || null;
+    // Ruled-out archetypes aren't scored by the pipeline; score them here for the diffs
+    const scored = scoreArchetype(user.traits, archetype.traits, report.weights, {
+      model: report.scoringModel,
+      uncertain,
+    });
+
+    return { archetype, ranked, blocked, diffs: scored.diffs };
+  });
+
+  app.innerHTML = `
+    <section class="screen screen-compare safe-area-padding">
+      <header class="quiz-topbar">
+        <button class="icon-btn" id="compareBackBtn" aria-label="Back to results">←</button>
+        <div class="compare-titlewrap">
+          <div class="results-eyebrow">Compare</div>
+          <div class="results-title">${escapeHtml(columns.map((c) => c.archetype.name).join(" vs "))}</div>
+        </div>
+        <div aria-hidden="true"></div>
+      </header>
+
+      <main class="compare-body">
+        <div class="compare-radars">
+          ${columns.map((c) => renderColumnRadar(c, user, uncertain)).join("")}
+        </div>
+
+        <div class="profiles-compare-scroll">
+          <table class="profiles-compare compare-table">
+            <caption class="visually-hidden">Archetypes side by side against your answers</caption>
+            <thead>
+              <tr>
+                <th scope="col"><span class="visually-hidden">Row</span></th>
+                <th scope="col" class="compare-you">You</th>
+                ${columns.map(renderColumnHead).join("")}
+              </tr>
+            </thead>
+            <tbody>
+              ${renderRow("Fit", "", columns.map(renderFitCell))}
+              ${renderRow("Tier", "", columns.map((c) => escapeHtml(String(c.archetype.tier ?? "—"))))}
+              ${renderRow("Size", "", columns.map((c) => escapeHtml(formatSize(c.archetype.size))))}
+              ${TRAITS.map((k) => renderTraitRow(k, user, columns)).join("")}
+              ${renderRow("Penalties", "", columns.map(renderPenaltiesCell))}
+              ${renderRow("Watch-outs", "", columns.map(renderRisksCell))}
+            </tbody>
+          </table>
+        </div>
+
+        <p class="profiles-compare-legend">
+          “Off by” is how far the dog sits from your answer on the 0–4 scale; ✓ means your answer is
+          inside its range. The closest of the dogs is highlighted.
+        </p>
+      </main>
+    </section>
+  `;
+
+  document.getElementById("compareBackBtn")?.addEventListener("click", () => navigate("results"));
+  app.querySelectorAll("[data-compare-detail]").forEach((btn) => {
+    btn.addEventListener("click", () => navigate(`detail:${btn.getAttribute("data-compare-detail")}`));
+  });
+
+  // Escape goes back, as on the detail screen
+  window.addEventListener("keydown", onKeydown);
+  return () => window.removeEventListener("keydown", onKeydown);
+
+  function onKeydown(e) {
+    if (e.key === "Escape") navigate("results");
+  }
+}
+
+/* ==========================================================================
+   Markup helpers
+   ========================================================================== */
+
+function renderColumnHead(c) {
+  return `
+    <th scope="col" class="compare-head">
+      <button class="compare-name" type="button" data-compare-detail="${escapeAttr(c.archetype.id)}">
+        ${escapeHtml(c.archetype.name)}
+      </button>
+    </th>
+  `;
+}
+
+// The table below carries the same values, so no screen-reader table here
+function renderColumnRadar(c, user, uncertain) {
+  return `
+    <div class="compare-radar">
+      <div class="compare-radar-name">${escapeHtml(c.archetype.name)}</div>
+      ${renderTraitRadar({ archetype: c.archetype, userTraits: user.traits, uncertain, showTable: false })}
+    </div>
+  `;
+}
+
+// cells are markup already
+function renderRow(label, you, cells) {
+  return `
+    <tr>
+      <th scope="row">${escapeHtml(label)}</th>
+      <td class="compare-you">${you}</td>
+      ${cells.map((cell) => `<td class="profiles-compare-cell">${cell}</td>`).join("")}
+    </tr>
+  `;
+}
+
+function renderTraitRow(key, user, columns) {
+  const unsure = !!user.uncertain?.[key];
+  // No diff when the adopter's priorities give the trait no weight
+  const counted = columns[0].diffs[key] !== undefined;
+  const diffs = columns.map((c) => c.diffs[key] ?? 0);
+  const best = Math.min(...diffs);
+  const highlight = counted && diffs.some((d) => d !== best);
+
+  return `
+    <tr>
+      <th scope="row">${escapeHtml(TRAIT_LABELS[key] || key)}</th>
+      <td class="compare-you">
+        ${fmt(user.traits[key] ?? 2)}${unsure ? ` <span class="compare-unsure">not sure</span>` : ""}
+      </td>
+      ${columns
+        .map((c, i) => {
+          const { min, max } = traitRange(c.archetype.traits?.[key]);
+          const isBest = highlight && diffs[i] === best;
+          return `
+            <td class="profiles-compare-cell compare-trait ${isBest ? "is-best" : ""}">
+              <span class="compare-value">${max > min ? `${fmt(min)}–${fmt(max)}` : fmt(min)}</span>
+              <span class="compare-diff">${describeDiff(counted, diffs[i])}</span>
+              ${isBest ? `<span class="visually-hidden">(closest)</span>` : ""}
+            </td>
+          `;
+        })
+        .join("")}
+    </tr>
+  `;
+}
+
+function renderFitCell(c) {
+  if (c.ranked) {
+    return `<strong class="compare-score">${Math.round(c.ranked.score)}</strong>`;
+  }
+  return `
+    <span class="compare-blocked">Ruled out</span>
+    <span class="compare-reason">${escapeHtml(c.blocked?.reasons?.[0] || "Not a fit for your answers")}</span>
+  `;
+}
+
+function renderPenaltiesCell(c) {
+  const penalties = c.ranked?.penalties || [];
+  if (penalties.length === 0) return `<span class="profiles-compare-score">None</span>`;
+
+  return `
+    <ul class="compare-list">
+      ${penalties
+        .map((p) => `<li>${escapeHtml(p.reason || p.key)} <span class="compare-delta">${p.delta}</span></li>`)
+        .join("")}
+    </ul>
+  `;
+}
+
+function renderRisksCell(c) {
+  const risks = Array.isArray(c.archetype.risks) ? c.archetype.risks : [];
+  if (risks.length === 0) return `<span class="profiles-compare-score">None listed</span>`;
+
+  return `
+    <div class="risk-chips">
+      ${risks.map((r) => `<span class="risk-chip">${escapeHtml(humanizeRisk(r))}</span>`).join("")}
+    </div>
+  `;
+}
+
+/* ==========================================================================
+   Small utilities
+   ========================================================================== */
+
+function describeDiff(counted, diff) {
+  if (!counted) return "doesn’t count";
+  return diff === 0 ? "✓" : `off by ${fmt(diff)}`;
+}
+
+// ["small", "medium"] → "Small–medium"
+function formatSize(size) {
+  const list = Array.isArray(size) ? size : size ? [size] : [];
+  if (list.length === 0) return "—";
+
+  const text = list.length > 1 ? `${list[0]}–${list[list.length - 1]}` : list[0];
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function fmt(n) {
+  return Number.isInteger(n) ? String(n) : Number(n).toFixed(1);
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function escapeAttr(str) {
+  return String(str).replaceAll('"', "&quot;").replaceAll("'", "");
+}
@@ -0,0 +1,300 @@
+/* ==========================================================================
+   screen_household.js — AdoptMatch
+   Household mode: pick the member profiles (each person takes the quiz as
+   their own profile), see where they disagree, choose how each trait is
+   merged, and get joint results from the usual rules and scoring.
+   ========================================================================== */
+
+import { navigate } from "../router.js";
+import {
+  getState,
+  subscribe,
+  setHouseholdMembers,
+  setHouseholdPolicy,
+  selectSavedProfiles,
+  selectSavedProfileData,
+  selectHousehold,
+  selectIsComplete,
+  selectProfile,
+} from "../state.js";
+import { computeMatches } from "../match/engine.js";
+import { getArchetypeById } from "../match/archetypes.js";
+import { TRAITS, TRAIT_LABELS } from "../match/scoring.js";
+import { MERGE_POLICIES, mergeProfiles, mergeWeights, describeFlagDisagreement } from "../match/household.js";
+
+const POLICY_LABELS = {
+  cautious: "Most cautious",
+  average: "Average",
+  relaxed: "Most relaxed",
+};
+
+// Joint matches / avoid entries shown
+const HOUSEHOLD_TOP = 5;
+const HOUSEHOLD_AVOID = 3;
+
+/**
+ * Household screen renderer. Redraws when members or policies change.
+ * @returns {() => void} disposer for the router
+ */
+export function renderHouseholdScreen() {
+  const app = document.getElementById("app");
+  if (!app) return;
+
+  const draw = () => {
+    const state = getState();
+    const { members, policies } = selectHousehold(state);
+    const memberIds = new Set(members.map((m) => m.id));
+
+    const profiles = selectSavedProfiles(state).map((p) => {
+      const data = selectSavedProfileData(state, p.id);
+      return { ...p, finished: !!data && selectIsComplete(data), member: memberIds.has(p.id) };
+    });
+
+    // Only finished profiles can be merged
+    const ready = members.filter((m) => m.data && selectIsComplete(m.data));
+
+    app.innerHTML = `
+      <section class="screen screen-household safe-area-padding">
+        <header class="quiz-topbar">
+          <button class="icon-btn" id="householdBackBtn" aria-label="Back to profiles">←</button>
+          <div class="household-titlewrap">
+            <div class="results-eyebrow">Household mode</div>
+            <div class="results-title">Everyone’s answers together</div>
+          </div>
+          <div aria-hidden="true"></div>
+        </header>
+
+        <main class="household-body">
+          ${renderMemberPicker(profiles)}
+          ${ready.length >= 2 ? renderMerge(ready, policies) : renderNotReady()}
+        </main>
+      </section>
+    `;
+
+    wire();
+  };
+
+  const wire = () => {
+    app.querySelectorAll("[data-household-member]").forEach((box) => {
+      box.addEventListener("change", () => {
+        const ids = Array.from(app.querySelectorAll("[data-household-member]"))
+          .filter((b) => b.checked)
+          .map((b) => b.getAttribute("data-household-member"));
+        setHouseholdMembers(ids);
+      });
+    });
+
+    app.querySelectorAll("[data-household-policy]").forEach((select) => {
+      select.addEventListener("change", () => {
+        setHouseholdPolicy(select.getAttribute("data-household-policy"), select.value);
+      });
+    });
+
+    document.getElementById("householdBackBtn")?.addEventListener("click", () => navigate("profiles"));
+    document.getElementById("householdProfilesBtn")?.addEventListener("click", () => navigate("profiles"));
+  };
+
+  draw();
+
+  return subscribe((_, __, action) => {
+    if (action.type.startsWith("household") || action.type.startsWith("profile")) draw();
+  });
+}
+
+/* ==========================================================================
+   Markup helpers
+   ========================================================================== */
+
+function renderMemberPicker(profiles) {
+  return `
+    <section class="household-section">
+      <h3 class="review-section-title">Who’s in the household?</h3>
+      <p class="household-hint">
+        Each person answers the quiz as their own profile. Dogs go wrong most often when only one person answered.
+      </p>
+      <ul class="household-members">
+        ${profiles
+          .map(
+            (p) => `
+              <li>
+                <label class="household-member ${p.finished ? "" : "is-unfinished"}">
+                  <input type="checkbox" data-household-member="${escapeAttr(p.id)}" ${p.member ? "checked" : ""} />
+                  <span class="household-member-name">${escapeHtml(p.name)}</span>
+                  <span class="household-member-status">${p.finished ? "Ready" : "Quiz not finished"}</span>
+                </label>
+              </li>
+            `
+          )
+          .join("")}
+      </ul>
+    </section>
+  `;
+}
+
+function renderNotReady() {
+  return `
+    <section class="household-section">
+      <p class="household-empty">
+        Pick at least two people who have finished the quiz. Add a profile for each member from the profiles screen.
+      </p>
+      <button class="secondary-cta" id="householdProfilesBtn" type="button">Manage profiles</button>
+    </section>
+  `;
+}
+
+function renderMerge(ready, policies) {
+  const merged = mergeProfiles(
+    ready.map((m) => ({ id: m.id, name: m.name, profile: selectProfile(m.data) })),
+    { policies }
+  );
+  const report = computeMatches(null, {
+    profile: merged,
+    weights: mergeWeights(ready.map((m) => m.data.weights)),
+    options: { top: HOUSEHOLD_TOP, avoid: HOUSEHOLD_AVOID },
+  });
+
+  return `
+    ${renderDisagreements(merged.disagreements)}
+    ${renderPolicyTable(ready, merged)}
+    ${renderJointResults(report)}
+  `;
+}
+
+function renderDisagreements(disagreements) {
+  const flags = disagreements.filter((d) => d.kind === "flag");
+  const traits = disagreements.filter((d) => d.kind === "trait");
+
+  if (disagreements.length === 0) {
+    return `
+      <section class="household-section">
+        <h3 class="review-section-title">Where you disagree</h3>
+        <p class="household-empty">No big differences — you answered much alike.</p>
+      </section>
+    `;
+  }
+
+  return `
+    <section class="household-section">
+      <h3 class="review-section-title">Where you disagree</h3>
+      <p class="household-hint">Worth talking through before you visit a shelter.</p>
+      <ul class="household-disagreements">
+        ${flags.map((d) => `<li>${escapeHtml(describeFlagDisagreement(d))}</li>`).join("")}
+        ${traits
+          .map(
+            (d) => `
+              <li>
+                <strong>${escapeHtml(TRAIT_LABELS[d.trait] || d.trait)}:</strong>
+                ${escapeHtml(d.values.map((v) => `${v.name} ${formatValue(v.value)}`).join(" · "))}
+                → using ${escapeHtml(formatValue(d.merged))} (${escapeHtml(POLICY_LABELS[d.policy].toLowerCase())})
+              </li>
+            `
+          )
+          .join("")}
+      </ul>
+    </section>
+  `;
+}
+
+function renderPolicyTable(ready, merged) {
+  return `
+    <section class="household-section">
+      <h3 class="review-section-title">How to combine answers</h3>
+      <div class="profiles-compare-scroll">
+        <table class="profiles-compare household-policies">
+          <caption class="visually-hidden">Each member’s value per trait and how they are merged</caption>
+          <thead>
+            <tr>
+              <th scope="col">Trait</th>
+              ${ready.map((m) => `<th scope="col">${escapeHtml(m.name)}</th>`).join("")}
+              <th scope="col">Merge</th>
+              <th scope="col">Joint</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${TRAITS.map(
+              (k) => `
+                <tr>
+                  <th scope="row">${escapeHtml(TRAIT_LABELS[k] || k)}</th>
+                  ${merged.values[k]
+                    .map((v) => `<td>${v.value === null ? `<span class="household-unsure">Not sure</span>` : formatValue(v.value)}</td>`)
+                    .join("")}
+                  <td>
+                    <select data-household-policy="${k}" aria-label="How to merge ${escapeAttr(TRAIT_LABELS[k] || k)}">
+                      ${MERGE_POLICIES.map(
+                        (p) => `<option value="${p}" ${merged.policies[k] === p ? "selected" : ""}>${POLICY_LABELS[p]}</option>`
+                      ).join("")}
+                    </select>
+                  </td>
+                  <td class="household-joint">${formatValue(merged.traits[k])}</td>
+                </tr>
+              `
+            ).join("")}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  `;
+}
+
+function renderJointResults(report) {
+  return `
+    <section class="household-section">
+      <h3 class="review-section-title">Your joint matches</h3>
+      ${
+        report.top.length
+          ? `<ol class="household-matches">
+              ${report.top
+                .map(
+                  (r) => `
+                    <li class="household-match">
+                      <span class="household-match-name">${escapeHtml(getArchetypeById(r.id)?.name || r.name)}</span>
+                      <span class="household-match-score">${Math.round(r.score)} fit</span>
+                    </li>
+                  `
+                )
+                .join("")}
+            </ol>`
+          : `<p class="household-empty">Nothing fits everyone’s answers. Look at the disagreements above.</p>`
+      }
+      ${
+        report.avoid.length
+          ? `<h4 class="household-subtitle">Avoid together</h4>
+            <ul class="household-avoid">
+              ${report.avoid
+                .map(
+                  (b) => `
+                    <li>
+                      <span class="household-avoid-name">${escapeHtml(getArchetypeById(b.id)?.name || b.name)}</span>
+                      <span class="household-avoid-reason">${escapeHtml(b.reasons[0] || "Not a fit")}</span>
+                    </li>
+                  `
+                )
+                .join("")}
+            </ul>`
+          : ""
+      }
+    </section>
+  `;
+}
+
+/* ==========================================================================
+   Small utilities
+   ========================================================================== */
+
+// 0..4 trait values; averages keep one decimal
+function formatValue(n) {
+  return String(Math.round(Number(n) * 10) / 10);
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function escapeAttr(str) {
+  return String(str).replaceAll('"', "&quot;").replaceAll("'", "");
+}
@@ -0,0 +1,26 @@
+/* ==========================================================================
+   screen_not_found.js — AdoptMatch
+   Fallback for links that don't match a route (old or mistyped share links).
+   ========================================================================== */
+
+import { navigate } from "../router.js";
+
+export function renderNotFoundScreen() {
+  const app = document.getElementById("app");
+  if (!app) return;
+
+  app.innerHTML = `
+    <section class="screen screen-not-found safe-area-padding">
+      <div class="not-found-content">
+        <div class="not-found-emoji" aria-hidden="true">🐾</div>
+        <h2 class="not-found-title">We couldn’t find that page</h2>
+        <p class="not-found-text">
+          The link may be out of date. Your answers are still saved on this device.
+        </p>
+        <button class="primary-cta btn-primary" id="notFoundHomeBtn">Go to start</button>
+      </div>
+    </section>
+  `;
+
+  document.getElementById("notFoundHomeBtn")?.addEventListener("click", () => navigate("welcome"));
+}
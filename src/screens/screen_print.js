@@ -0,0 +1,212 @@
+/* ==========================================================================
+   screen_print.js — AdoptMatch
+   Shelter-visit pack (#/print): one printable page with the household
+   summary, top matches with their reasons, the avoid list, and a question
+   checklist per match with room for notes. The browser's print dialog
+   prints it or saves it as PDF; styles/print.css strips the app chrome.
+   ========================================================================== */
+
+import { navigate } from "../router.js";
+import { getState, selectActiveSavedProfile, selectVisibleQuestions } from "../state.js";
+import { describeAnswer } from "../data/questions.js";
+import { computeMatches } from "../match/engine.js";
+import { getArchetypeById } from "../match/archetypes.js";
+import { getPriorities, getPriorityLevels, getPrioritiesMeta } from "../match/priorities.js";
+
+// Matches with a checklist; blocked profiles listed
+const PACK_TOP = 3;
+const PACK_AVOID = 5;
+
+// Blank lines under each checklist
+const NOTE_LINES = 4;
+
+export function renderPrintScreen() {
+  const app = document.getElementById("app");
+  if (!app) return;
+
+  const state = getState();
+  const profile = selectActiveSavedProfile(state);
+  const report = computeMatches(state.answers, {
+    weights: state.weights || undefined,
+    options: { top: PACK_TOP, avoid: PACK_AVOID },
+  });
+
+  const top = report.top.map((r) => ({ ...r, archetype: getArchetypeById(r.id) }));
+  const avoid = report.avoid.map((b) => ({ ...b, archetype: getArchetypeById(b.id) }));
+
+  app.innerHTML = `
+    <section class="screen screen-print safe-area-padding">
+      <div class="print-toolbar">
+        <button class="secondary-cta" id="printBackBtn" type="button">Back to results</button>
+        <button class="primary-cta btn-primary" id="printNowBtn" type="button" data-autofocus>
+          Print or save as PDF
+        </button>
+      </div>
+
+      <article class="print-pack">
+        <header class="print-header">
+          <h1 class="print-title">Shelter visit pack</h1>
+          <p class="print-meta">
+            ${profile ? `${escapeHtml(profile.name)} · ` : ""}${escapeHtml(new Date().toLocaleDateString())}
+          </p>
+        </header>
+
+        ${renderSummary(state)}
+        ${renderMatches(top)}
+        ${renderAvoid(avoid)}
+        ${renderChecklists(top)}
+
+        <footer class="print-footer">
+          AdoptMatch — adoption-first fit guidance. These are mix archetypes, not labels:
+          ask about the individual dog.
+        </footer>
+      </article>
+    </section>
+  `;
+
+  document.getElementById("printBackBtn")?.addEventListener("click", () => navigate("results"));
+  document.getElementById("printNowBtn")?.addEventListener("click", () => window.print());
+}
+
+/* ==========================================================================
+   Markup sections
+   ========================================================================== */
+
+/**
+ * Our home in a few lines: every answered question, what matters most,
+ * and the profile's notes.
+ */
+function renderSummary(state) {
+  const answers = state.answers || {};
+  const rows = selectVisibleQuestions(state).filter((q) => answers[q.id] !== undefined);
+  const priorities = describePriorities(state.priorities);
+
+  return `
+    <section class="print-section">
+      <h2 class="print-section-title">About our household</h2>
+      <dl class="print-summary">
+        ${rows
+          .map(
+            (q) => `
+              <div class="print-summary-row">
+                <dt>${escapeHtml(q.title)}</dt>
+                <dd>${escapeHtml(describeAnswer(q, answers[q.id]))}</dd>
+              </div>
+            `
+          )
+          .join("")}
+      </dl>
+      ${
+        priorities.length
+          ? `<p class="print-priorities"><strong>What matters to us:</strong> ${escapeHtml(priorities.join(" · "))}</p>`
+          : ""
+      }
+      ${state.notes ? `<p class="print-notes"><strong>Notes:</strong> ${escapeHtml(state.notes)}</p>` : ""}
+    </section>
+  `;
+}
+
+function renderMatches(top) {
+  if (top.length === 0) return "";
+
+  return `
+    <section class="print-section">
+      <h2 class="print-section-title">Our top matches</h2>
+      <ol class="print-matches">
+        ${top
+          .map((x) => {
+            const why = Array.isArray(x.archetype?.why) ? x.archetype.why : [];
+            const watch = x.penalties.map((p) => p.reason).filter(Boolean);
+
+            return `
+              <li class="print-match">
+                <div class="print-match-head">
+                  <strong>${escapeHtml(x.archetype?.name || x.name)}</strong>
+                  <span class="print-score">${Math.round(x.score)} fit</span>
+                </div>
+                <ul class="print-reasons">
+                  ${why.map((w) => `<li>${escapeHtml(w)}</li>`).join("")}
+                  ${watch.map((w) => `<li class="print-watch">Watch out: ${escapeHtml(w)}</li>`).join("")}
+                </ul>
+              </li>
+            `;
+          })
+          .join("")}
+      </ol>
+    </section>
+  `;
+}
+
+function renderAvoid(avoid) {
+  if (avoid.length === 0) return "";
+
+  return `
+    <section class="print-section">
+      <h2 class="print-section-title">Probably not for us</h2>
+      <ul class="print-avoid">
+        ${avoid
+          .map(
+            (x) => `
+              <li>
+                <strong>${escapeHtml(x.archetype?.name || x.name)}</strong> —
+                ${escapeHtml((x.reasons || []).join(" "))}
+              </li>
+            `
+          )
+          .join("")}
+      </ul>
+    </section>
+  `;
+}
+
+function renderChecklists(top) {
+  const withQuestions = top.filter((x) => (x.archetype?.ask_shelter || []).length > 0);
+  if (withQuestions.length === 0) return "";
+
+  return `
+    <section class="print-section">
+      <h2 class="print-section-title">Questions to ask the shelter</h2>
+      ${withQuestions
+        .map(
+          (x) => `
+            <div class="print-checklist-block">
+              <h3 class="print-checklist-title">${escapeHtml(x.archetype.name)}</h3>
+              <ul class="print-checklist">
+                ${x.archetype.ask_shelter
+                  .map((q) => `<li><span class="print-box" aria-hidden="true"></span>${escapeHtml(q)}</li>`)
+                  .join("")}
+              </ul>
+              <div class="print-note-lines" aria-label="Space for notes">
+                <span class="print-note-label">Notes</span>
+                ${`<span class="print-note-line"></span>`.repeat(NOTE_LINES)}
+              </div>
+            </div>
+          `
+        )
+        .join("")}
+    </section>
+  `;
+}
+
+/* ==========================================================================
+   Helpers
+   ========================================================================== */
+
+// Rated priorities that differ from the default level: "Quiet at home (Top)"
+function describePriorities(ratings) {
+  const levels = getPriorityLevels() || [];
+  const defaultLevel = getPrioritiesMeta().defaultLevel;
+
+  return (getPriorities() || [])
+    .filter((p) => ratings?.[p.id] && ratings[p.id] !== defaultLevel)
+    .map((p) => `${p.label} (${levels.find((l) => l.id === ratings[p.id])?.label || ratings[p.id]})`);
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
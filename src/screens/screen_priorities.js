@@ -0,0 +1,143 @@
+/* ==========================================================================
+   screen_priorities.js — AdoptMatch
+   "What matters most?" step between the last question and the review.
+   Each rating feeds the per-user weight vector used for ranking.
+   ========================================================================== */
+
+import { navigate } from "../router.js";
+import { getPriorities, getPriorityLevels, getPrioritiesMeta } from "../match/priorities.js";
+import { getState, subscribe, setPriority } from "../state.js";
+
+/**
+ * Priorities screen renderer
+ * - One row per priority with a 3-step rating (less / matters / top)
+ * - Skipping keeps the default weights
+ */
+export function renderPrioritiesScreen() {
+  const app = document.getElementById("app");
+  if (!app) return;
+
+  const priorities = getPriorities();
+  const levels = getPriorityLevels();
+
+  if (!priorities || priorities.length === 0) {
+    // Nothing to rate — go straight to the review
+    navigate("review");
+    return;
+  }
+
+  const state = getState();
+  const ratings = state.priorities || {};
+  const defaultLevel = getPrioritiesMeta().defaultLevel;
+
+  app.innerHTML = `
+    <section class="screen screen-priorities safe-area-padding">
+      <header class="quiz-topbar">
+        <button class="icon-btn" id="prioritiesBackBtn" aria-label="Back to quiz">←</button>
+        <div class="priorities-titlewrap">
+          <div class="results-eyebrow">Almost there</div>
+          <div class="results-title">What matters most to you?</div>
+        </div>
+        <div aria-hidden="true"></div>
+      </header>
+
+      <main class="priorities-list">
+        ${priorities
+          .map((p) => renderPriorityRow(p, levels, ratings[p.id] || defaultLevel))
+          .join("")}
+      </main>
+
+      <footer class="quiz-bottombar quiz-nav">
+        <button class="secondary-cta" id="prioritiesSkipBtn">Skip</button>
+        <button class="primary-cta btn-primary" id="prioritiesDoneBtn">Review answers</button>
+      </footer>
+    </section>
+  `;
+
+  // Rating taps
+  app.querySelectorAll("[data-priority-id]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const pid = btn.getAttribute("data-priority-id");
+      const lid = btn.getAttribute("data-level-id");
+      if (!pid || !lid) return;
+
+      setPriority(pid, lid);
+      hapticTick();
+    });
+  });
+
+  // Rows follow the store, whoever changed the rating
+  const unsubscribe = subscribe((_, __, action) => {
+    if (action.type === "priority") syncRow(app, action.priorityId, action.levelId);
+  });
+
+  document.getElementById("prioritiesBackBtn")?.addEventListener("click", () => navigate("quiz"));
+  document.getElementById("prioritiesSkipBtn")?.addEventListener("click", () => navigate("review"));
+  document.getElementById("prioritiesDoneBtn")?.addEventListener("click", () => navigate("review"));
+
+  return unsubscribe;
+}
+
+/* ==========================================================================
+   Markup helpers
+   ========================================================================== */
+
+function renderPriorityRow(priority, levels, selectedLevel) {
+  return `
+    <div class="priority-row">
+      <div class="priority-icon" aria-hidden="true">${escapeHtml(priority.icon || "🐾")}</div>
+      <div class="priority-text">
+        <div class="priority-label" id="priority-${escapeAttr(priority.id)}">${escapeHtml(priority.label)}</div>
+        ${priority.subtitle ? `<div class="priority-subtitle">${escapeHtml(priority.subtitle)}</div>` : ""}
+      </div>
+      <div class="priority-levels" role="radiogroup" aria-labelledby="priority-${escapeAttr(priority.id)}">
+        ${levels
+          .map((l) => {
+            const on = l.id === selectedLevel;
+            return `
+              <button
+                class="priority-level ${on ? "is-selected" : ""}"
+                type="button"
+                role="radio"
+                aria-checked="${on ? "true" : "false"}"
+                data-priority-id="${escapeAttr(priority.id)}"
+                data-level-id="${escapeAttr(l.id)}"
+              >${escapeHtml(l.label)}</button>
+            `;
+          })
+          .join("")}
+      </div>
+    </div>
+  `;
+}
+
+function syncRow(root, priorityId, levelId) {
+  root.querySelectorAll(`[data-priority-id="${CSS.escape(priorityId)}"]`).forEach((btn) => {
+    const on = btn.getAttribute("data-level-id") === levelId;
+    btn.classList.toggle("is-selected", on);
+    btn.setAttribute("aria-checked", on ? "true" : "false");
+  });
+}
+
+/* ==========================================================================
+   Small utilities
+   ========================================================================== */
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function escapeAttr(str) {
+  return String(str).replaceAll('"', "&quot;").replaceAll("'", "");
+}
+
+function hapticTick() {
+  try {
+    if (navigator.vibrate) navigator.vibrate(10);
+  } catch (_) {}
+}
@@ -0,0 +1,437 @@
+/* ==========================================================================
+   screen_profiles.js — AdoptMatch
+   Saved profiles: create, duplicate, rename, switch and delete answer sets
+   ("Our family", "If we move to a house"…), plus a side-by-side view of
+   each finished profile's top matches. Household mode (one profile per
+   member) starts from here, and profiles are exported / imported as files
+   to move them between devices.
+   ========================================================================== */
+
+import { navigate } from "../router.js";
+import {
+  getState,
+  subscribe,
+  createProfile,
+  duplicateProfile,
+  renameProfile,
+  switchProfile,
+  deleteProfile,
+  setProfileNotes,
+  importProfile,
+  selectSavedProfiles,
+  selectActiveSavedProfile,
+  selectSavedProfileData,
+  selectIsComplete,
+  selectProgress,
+  selectVisibleQuestions,
+} from "../state.js";
+import { computeMatches } from "../match/engine.js";
+import { getArchetypeById, getArchetypesMeta } from "../match/archetypes.js";
+import { getRulesMeta } from "../match/rules.js";
+import { getPrioritiesMeta } from "../match/priorities.js";
+import { getQuestionsMeta } from "../data/questions.js";
+import { buildProfileFile, parseProfileFile, profileFileName } from "../data/profile_file.js";
+
+// Rows in the comparison table
+const COMPARE_TOP = 3;
+
+/**
+ * Profiles screen renderer. Redraws itself when a profile action lands.
+ * @returns {() => void} disposer for the router
+ */
+export function renderProfilesScreen() {
+  const app = document.getElementById("app");
+  if (!app) return;
+
+  // Import / export feedback: { text, error } — and a file waiting on a name clash
+  let notice = null;
+  let pending = null;
+
+  const draw = () => {
+    const state = getState();
+    const profiles = selectSavedProfiles(state).map((p) => ({ ...p, data: selectSavedProfileData(state, p.id) }));
+    const active = profiles.find((p) => p.active);
+
+    app.innerHTML = `
+      <section class="screen screen-profiles safe-area-padding">
+        <header class="quiz-topbar">
+          <button class="icon-btn" id="profilesBackBtn" aria-label="Back">←</button>
+          <div class="profiles-titlewrap">
+            <div class="results-eyebrow">Profiles</div>
+            <div class="results-title">Compare your what-ifs</div>
+          </div>
+          <div aria-hidden="true"></div>
+        </header>
+
+        <main class="profiles-list">
+          <ul class="profiles-items">
+            ${profiles.map((p) => renderProfileRow(p, profiles.length)).join("")}
+          </ul>
+
+          <div class="profiles-cta-row">
+            <button class="secondary-cta" id="profileNewBtn" type="button">New profile</button>
+            <button class="secondary-cta" id="profileHouseholdBtn" type="button">Household mode</button>
+          </div>
+
+          ${renderCompareSection(profiles, active)}
+          ${renderTransferSection(active, pending, notice)}
+        </main>
+      </section>
+    `;
+
+    wire(profiles);
+  };
+
+  const wire = (profiles) => {
+    const byId = (id) => profiles.find((p) => p.id === id);
+
+    app.querySelectorAll("[data-profile-action]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const id = btn.getAttribute("data-profile-id");
+        const p = byId(id);
+        if (!p) return;
+
+        switch (btn.getAttribute("data-profile-action")) {
+          case "open":
+            switchProfile(id);
+            navigate(selectIsComplete(getState()) ? "results" : "quiz");
+            break;
+          case "rename": {
+            const name = window.prompt("Rename profile", p.name);
+            if (name !== null) renameProfile(id, name);
+            break;
+          }
+          case "duplicate": {
+            const name = window.prompt("Name for the copy", `${p.name} (copy)`);
+            if (name !== null) duplicateProfile(id, name);
+            break;
+          }
+          case "delete":
+            if (window.confirm(`Delete “${p.name}” and its answers?`)) deleteProfile(id);
+            break;
+        }
+      });
+    });
+
+    document.getElementById("profileNewBtn")?.addEventListener("click", () => {
+      const name = window.prompt("Name the new profile", `Profile ${profiles.length + 1}`);
+      if (name === null) return;
+      createProfile(name);
+      navigate("quiz");
+    });
+
+    document.getElementById("profileHouseholdBtn")?.addEventListener("click", () => navigate("household"));
+
+    document.getElementById("profileNotes")?.addEventListener("change", (e) => setProfileNotes(e.target.value));
+    document.getElementById("profileExportBtn")?.addEventListener("click", () => {
+      // Fresh read: notes may have been saved by the blur of this very click
+      const state = getState();
+      notice = exportProfile({
+        ...selectActiveSavedProfile(state),
+        data: selectSavedProfileData(state, state.activeProfileId),
+      });
+      draw();
+    });
+
+    const fileInput = document.getElementById("profileImportInput");
+    document.getElementById("profileImportBtn")?.addEventListener("click", () => fileInput?.click());
+    fileInput?.addEventListener("change", async () => {
+      const file = fileInput.files?.[0];
+      if (!file) return;
+
+      try {
+        const parsed = parseProfileFile(await file.text());
+        const clash = profiles.find((p) => sameName(p.name, parsed.name));
+
+        if (clash) {
+          pending = { parsed, clash };
+          notice = null;
+          draw();
+        } else {
+          finishImport(parsed);
+        }
+      } catch (err) {
+        pending = null;
+        notice = { text: err.message, error: true };
+        draw();
+      }
+    });
+
+    app.querySelectorAll("[data-import-choice]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const { parsed, clash } = pending || {};
+        if (!parsed) return;
+
+        const choice = btn.getAttribute("data-import-choice");
+        if (choice === "replace") finishImport(parsed, clash.id);
+        else if (choice === "keep") finishImport({ ...parsed, name: `${parsed.name} (imported)` });
+        else {
+          pending = null;
+          draw();
+        }
+      });
+    });
+
+    document.getElementById("profilesBackBtn")?.addEventListener("click", () => {
+      navigate(selectIsComplete(getState()) ? "results" : "welcome");
+    });
+  };
+
+  const finishImport = (parsed, replaceId = null) => {
+    const { profileId, stale } = importProfile(parsed, { replaceId });
+    const name = selectSavedProfiles(getState()).find((p) => p.id === profileId)?.name || parsed.name;
+
+    pending = null;
+    notice = {
+      text: stale.length
+        ? `Imported “${name}”. ${stale.length} ${stale.length === 1 ? "answer needs" : "answers need"} a fresh look — the questions changed since it was exported.`
+        : `Imported “${name}” and made it the active profile.`,
+      error: false,
+    };
+    draw();
+  };
+
+  draw();
+
+  // Rename / duplicate / delete re-render in place (notes save on blur;
+  // redrawing then would swallow the click that caused the blur)
+  return subscribe((_, __, action) => {
+    if (action.type.startsWith("profile") && action.type !== "profileNotes") draw();
+  });
+}
+
+/* ==========================================================================
+   Export
+   ========================================================================== */
+
+/**
+ * Download the profile as a JSON file (with its results, when finished).
+ * @returns {{ text: string, error: boolean }} notice for the screen
+ */
+function exportProfile(p) {
+  if (!p?.data) return { text: "Nothing to export yet.", error: true };
+
+  const report = selectIsComplete(p.data)
+    ? computeMatches(p.data.answers, { weights: p.data.weights || undefined })
+    : null;
+
+  const file = buildProfileFile({
+    name: p.name,
+    createdAt: p.createdAt,
+    data: p.data,
+    report,
+    versions: {
+      questions: getQuestionsMeta().version,
+      archetypes: getArchetypesMeta().version,
+      rules: getRulesMeta().version,
+      priorities: getPrioritiesMeta().version,
+    },
+  });
+
+  try {
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = profileFileName(p.name);
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  } catch (_) {
+    return { text: "Export failed — this browser blocked the download.", error: true };
+  }
+
+  return { text: `Exported “${p.name}”. Check your downloads folder.`, error: false };
+}
+
+/* ==========================================================================
+   Markup helpers
+   ========================================================================== */
+
+/**
+ * Notes, export and import for moving a profile to another device.
+ */
+function renderTransferSection(active, pending, notice) {
+  return `
+    <section class="profiles-transfer">
+      <h3 class="review-section-title">Back up or move</h3>
+
+      <label class="profiles-notes-label" for="profileNotes">Notes on “${escapeHtml(active.name)}”</label>
+      <textarea
+        id="profileNotes"
+        class="profiles-notes"
+        rows="3"
+        maxlength="2000"
+        placeholder="Anything to remember for the shelter visit"
+      >${escapeHtml(active.data?.notes || "")}</textarea>
+
+      <div class="profiles-cta-row">
+        <button class="secondary-cta" id="profileExportBtn" type="button">Export to a file</button>
+        <button class="secondary-cta" id="profileImportBtn" type="button">Import a file</button>
+      </div>
+      <input type="file" id="profileImportInput" accept=".json,application/json" hidden />
+
+      ${pending ? renderImportConflict(pending) : ""}
+      ${
+        notice
+          ? `<p class="profiles-transfer-notice ${notice.error ? "is-error" : ""}" role="${notice.error ? "alert" : "status"}">
+              ${escapeHtml(notice.text)}
+            </p>`
+          : ""
+      }
+    </section>
+  `;
+}
+
+function renderImportConflict({ parsed, clash }) {
+  return `
+    <div class="profiles-import-conflict" role="alert">
+      <p>You already have a profile called “${escapeHtml(clash.name)}”. What should happen to the imported “${escapeHtml(parsed.name)}”?</p>
+      <div class="profiles-import-choices">
+        <button class="primary-cta btn-primary" type="button" data-import-choice="replace">Replace its answers</button>
+        <button class="secondary-cta" type="button" data-import-choice="keep">Keep both</button>
+        <button class="secondary-cta" type="button" data-import-choice="cancel">Cancel</button>
+      </div>
+    </div>
+  `;
+}
+
+function renderProfileRow(p, count) {
+  return `
+    <li class="profile-row ${p.active ? "is-active" : ""}">
+      <div class="profile-text">
+        <div class="profile-name">
+          ${escapeHtml(p.name)}
+          ${p.active ? `<span class="badge profile-active-badge">Active</span>` : ""}
+        </div>
+        <div class="profile-status">${escapeHtml(describeStatus(p.data))}</div>
+      </div>
+      <div class="profile-actions">
+        <button class="primary-cta btn-primary" type="button" data-profile-action="open" data-profile-id="${escapeAttr(p.id)}">
+          Open
+        </button>
+        <button class="secondary-cta" type="button" data-profile-action="rename" data-profile-id="${escapeAttr(p.id)}">
+          Rename
+        </button>
+        <button class="secondary-cta" type="button" data-profile-action="duplicate" data-profile-id="${escapeAttr(p.id)}">
+          Duplicate
+        </button>
+        <button
+          class="secondary-cta"
+          type="button"
+          data-profile-action="delete"
+          data-profile-id="${escapeAttr(p.id)}"
+          ${count <= 1 ? 'disabled aria-disabled="true" title="Keep at least one profile"' : ""}
+        >
+          Delete
+        </button>
+      </div>
+    </li>
+  `;
+}
+
+function describeStatus(data) {
+  if (!data || Object.keys(data.answers || {}).length === 0) return "Not started";
+  if (selectIsComplete(data)) return "Results ready";
+
+  const { answered } = selectProgress(data);
+  return `${answered} of ${selectVisibleQuestions(data).length} answered`;
+}
+
+/**
+ * Top matches per finished profile, rank by rank. Matches missing from the
+ * active profile's list are marked, so "what changes if we move" stands out.
+ */
+function renderCompareSection(profiles, active) {
+  const finished = profiles.filter((p) => p.data && selectIsComplete(p.data));
+
+  if (finished.length < 2) {
+    return `
+      <section class="profiles-compare-wrap">
+        <h3 class="review-section-title">Compare matches</h3>
+        <p class="profiles-compare-empty">Finish at least two profiles to compare their top matches.</p>
+      </section>
+    `;
+  }
+
+  const tops = finished.map((p) => ({
+    profile: p,
+    top: computeMatches(p.data.answers, {
+      weights: p.data.weights || undefined,
+      options: { top: COMPARE_TOP },
+    }).top,
+  }));
+  const baseline = new Set((tops.find((t) => t.profile.active)?.top || []).map((r) => r.id));
+  const markChanges = baseline.size > 0;
+
+  const rows = [];
+  for (let i = 0; i < COMPARE_TOP; i++) {
+    rows.push(`
+      <tr>
+        <th scope="row">${i + 1}</th>
+        ${tops.map((t) => renderCompareCell(t.top[i], markChanges && !t.profile.active && !baseline.has(t.top[i]?.id))).join("")}
+      </tr>
+    `);
+  }
+
+  return `
+    <section class="profiles-compare-wrap">
+      <h3 class="review-section-title">Compare matches</h3>
+      <div class="profiles-compare-scroll">
+        <table class="profiles-compare">
+          <caption class="visually-hidden">Top ${COMPARE_TOP} matches for each finished profile</caption>
+          <thead>
+            <tr>
+              <th scope="col"><span class="visually-hidden">Rank</span></th>
+              ${tops.map((t) => `<th scope="col">${escapeHtml(t.profile.name)}</th>`).join("")}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.join("")}
+          </tbody>
+        </table>
+      </div>
+      ${
+        markChanges
+          ? `<p class="profiles-compare-legend"><span aria-hidden="true">◆</span> not in ${escapeHtml(active.name)}’s top ${COMPARE_TOP}</p>`
+          : ""
+      }
+    </section>
+  `;
+}
+
+function renderCompareCell(entry, isNew) {
+  if (!entry) return `<td class="profiles-compare-cell is-empty">—</td>`;
+
+  const name = getArchetypeById(entry.id)?.name || entry.name || entry.id;
+  return `
+    <td class="profiles-compare-cell ${isNew ? "is-new" : ""}">
+      <span class="profiles-compare-name">
+        ${isNew ? `<span aria-hidden="true">◆ </span><span class="visually-hidden">New: </span>` : ""}${escapeHtml(name)}
+      </span>
+      <span class="profiles-compare-score">${Math.round(entry.score)} fit</span>
+    </td>
+  `;
+}
+
+/* ==========================================================================
+   Small utilities
+   ========================================================================== */
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function sameName(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function escapeAttr(str) {
+  return String(str).replaceAll('"', "&quot;").replaceAll("'", "");
+}
@@ -1,20 +1,49 @@
 /* ==========================================================================
    screen_quiz.js — AdoptMatch
    Visual-first, story-card quiz experience
+   Route: #/quiz/<questionId>[?mode=quick|full][&return=review]
    ========================================================================== */
 
 import { navigate } from "../router.js";
-import { getQuestions } from "../data/questions.js";
-import { getState, setAnswer, setManyAnswers, resetQuiz } from "../state.js";
+import { getQuestions, labelForSection, UNSURE_ANSWER } from "../data/questions.js";
+import {
+  getState,
+  subscribe,
+  setAnswer,
+  setManyAnswers,
+  setQuizMode,
+  setQuizIndex,
+  setAskedOrder,
+  resetQuiz,
+  selectVisibleQuestions,
+  selectStaleQuestions,
+  selectProgress,
+} from "../state.js";
+import { pickNextQuestion } from "../match/adaptive.js";
 import { renderChoiceCards } from "../components/ChoiceCards.js";
+import { renderSliderInput, defaultSliderValue } from "../components/SliderInput.js";
+import { renderRankList, normalizeOrder } from "../components/RankList.js";
+import { renderNumberInput } from "../components/NumberInput.js";
+
+// ?mode= values in shared links → quiz modes
+const QUERY_MODES = { quick: "adaptive", full: "full" };
+
+const EDIT_QUERY = { return: "review" };
 
 /**
  * Quiz screen renderer
  * - Full-screen story card per question
  * - Big tappable image answers
  * - Minimal text; visual cues
+ *
+ * @param {string|null} [questionId] - from #/quiz/<id>; without one the
+ *   current question is resolved and the URL rewritten to point at it
+ * @param {{mode?: string, return?: string}} [query]
+ *   mode   - "quick" (adaptive) or "full", for shared links
+ *   return - "review" while editing one answer from the review screen
+ * @returns {(() => void) | undefined} disposer for the router
  */
-export function renderQuizScreen() {
+export function renderQuizScreen(questionId = null, query = {}) {
   const app = document.getElementById("app");
   if (!app) return;
 
@@ -24,60 +53,70 @@ export function renderQuizScreen() {
     return;
   }
 
+  const mode = QUERY_MODES[query.mode];
+  if (mode && getState().quizMode !== mode) setQuizMode(mode);
+
   const state = getState();
-  const qIndex = clampInt(state.quizIndex ?? 0, 0, questions.length - 1);
-  const q = questions[qIndex];
+
+  // Only questions whose showIf holds for the current answers are asked;
+  // progress counts visible questions only.
+  const visible = selectVisibleQuestions(state);
+  // Editing one answer from the review screen never follows the adaptive order
+  const editing = query.return === "review";
+  const adaptive = state.quizMode === "adaptive" && !editing;
+
+  if (!questionId) {
+    const qIndex = clampInt(state.quizIndex ?? 0, 0, questions.length - 1);
+    const current = adaptive ? resolveAdaptiveQuestion(visible) : resolveVisibleQuestion(questions, visible, qIndex);
+
+    if (!current) {
+      // Adaptive mode with nothing decisive left to ask
+      navigate("priorities");
+      return;
+    }
+
+    navigate(`quiz:${current.id}`, { replace: true, query: editing ? EDIT_QUERY : undefined });
+    return;
+  }
+
+  // The router guard only lets visible questions through
+  const q = questions.find((x) => x.id === questionId);
+  setQuizIndex(questions.indexOf(q));
+  if (adaptive) syncAskedOrder(q.id);
+
+  // Editing keeps file order, so progress is the plain visible position
+  const { pos, total } = editing ? { pos: visible.indexOf(q), total: visible.length } : selectProgress(getState());
+  const current = state.answers?.[q.id];
 
   app.innerHTML = `
     <section class="screen screen-quiz safe-area-padding">
-      ${renderTopBar(qIndex, questions.length)}
-      ${renderQuestionCard(q, qIndex, questions.length)}
-      ${renderBottomBar(q, qIndex, questions.length)}
+      ${renderTopBar(pos, total)}
+      ${renderQuestionCard(q, current, state.staleQuestions.includes(q.id))}
+      ${renderBottomBar(q, pos, total, editing)}
     </section>
   `;
 
-  // Mount choices (visual cards)
+  // Mount the answer input for this question type
   const choicesMount = document.getElementById("choicesMount");
-  if (choicesMount) {
-    const currentSelection = state.answers?.[q.id] ?? null;
-
-    renderChoiceCards(choicesMount, {
-      questionId: q.id,
-      type: q.type, // "single" | "multi"
-      options: q.options,
-      selection: currentSelection,
-      onSelect: (payload) => {
-        // payload for "single": optionId string
-        // payload for "multi": array of optionIds
-        if (q.type === "multi") {
-          setManyAnswers(q.id, payload);
-        } else {
-          setAnswer(q.id, payload);
-        }
-
-        // Auto-advance behavior:
-        // - single: advance immediately
-        // - multi: user taps "Next"
-        if (q.type === "single") {
-          goNext(qIndex, questions.length);
-        } else {
-          // enable next button when at least 1 selected
-          syncNextEnabled(q.id);
-        }
-      },
-    });
-
-    // For multi questions, enable next if already has selection
-    if (q.type === "multi") syncNextEnabled(q.id);
-  }
+  if (choicesMount) mountAnswerInput(choicesMount, q, current ?? null, editing);
 
   // Wire nav
   const backBtn = document.getElementById("quizBackBtn");
   const nextBtn = document.getElementById("quizNextBtn");
   const closeBtn = document.getElementById("quizCloseBtn");
+  const unsureBtn = document.getElementById("quizUnsureBtn");
 
-  if (backBtn) backBtn.addEventListener("click", () => goBack(qIndex));
-  if (nextBtn) nextBtn.addEventListener("click", () => goNext(qIndex, questions.length));
+  if (backBtn) backBtn.addEventListener("click", () => goBack(q, editing));
+  if (unsureBtn)
+    unsureBtn.addEventListener("click", () => {
+      setAnswer(q.id, UNSURE_ANSWER);
+      goNext(q, editing);
+    });
+  if (nextBtn)
+    nextBtn.addEventListener("click", () => {
+      commitDefaultAnswer(q);
+      goNext(q, editing);
+    });
   if (closeBtn)
     closeBtn.addEventListener("click", () => {
       // Gentle reset confirm (no blocking modal yet)
@@ -87,9 +126,25 @@ export function renderQuizScreen() {
       navigate("welcome");
     });
 
-  // Keyboard accessibility (optional)
-  window.addEventListener("keydown", onKeydownOnce, { once: true });
-  function onKeydownOnce(e) {
+  // Multi: Next follows the stored selection
+  const unsubscribe =
+    q.type === "multi"
+      ? subscribe((_, __, action) => {
+          if (action.type === "answer" && action.questionId === q.id) syncNextEnabled(q.id);
+        })
+      : null;
+
+  // Keyboard shortcuts, removed by the router when the screen unmounts
+  window.addEventListener("keydown", onKeydown);
+  return () => {
+    window.removeEventListener("keydown", onKeydown);
+    unsubscribe?.();
+  };
+
+  function onKeydown(e) {
+    // Sliders, number fields, rank lists and choice cards use arrows/Escape themselves
+    if (e.target?.closest?.("input, .rank-list, [data-choice-id]")) return;
+
     if (e.key === "Escape") {
       // mimic close
       if (closeBtn) closeBtn.click();
@@ -98,12 +153,101 @@ export function renderQuizScreen() {
       if (backBtn) backBtn.click();
     }
     if (e.key === "ArrowRight") {
-      // for single questions, allow next
-      if (q.type === "single") goNext(qIndex, questions.length);
+      // for answered single questions, allow next
+      if (q.type === "single" && getState().answers?.[q.id] !== undefined) goNext(q, editing);
     }
   }
 }
 
+/* ==========================================================================
+   Answer inputs
+   ========================================================================== */
+
+function mountAnswerInput(mountEl, q, current, editing) {
+  if (q.type === "slider") {
+    renderSliderInput(mountEl, {
+      questionId: q.id,
+      min: q.min,
+      max: q.max,
+      step: q.step,
+      labels: q.labels,
+      valueLabels: q.value_labels,
+      value: typeof current === "number" ? current : null,
+      onChange: (v) => setAnswer(q.id, v),
+    });
+    return;
+  }
+
+  if (q.type === "ranking") {
+    renderRankList(mountEl, {
+      questionId: q.id,
+      options: q.options,
+      order: Array.isArray(current) ? current : null,
+      onChange: (order) => setManyAnswers(q.id, order),
+    });
+    return;
+  }
+
+  if (q.type === "numeric") {
+    renderNumberInput(mountEl, {
+      questionId: q.id,
+      min: q.min,
+      max: q.max,
+      step: q.step,
+      unit: q.unit,
+      placeholder: q.placeholder,
+      value: typeof current === "number" ? current : null,
+      onChange: (v) => {
+        // Keep the last valid number; Next follows the field's validity
+        if (v !== null) setAnswer(q.id, v);
+        setNextEnabled(v !== null);
+      },
+    });
+    setNextEnabled(typeof current === "number" || current === UNSURE_ANSWER);
+    return;
+  }
+
+  renderChoiceCards(mountEl, {
+    questionId: q.id,
+    type: q.type, // "single" | "multi"
+    options: q.options,
+    selection: current,
+    onSelect: (payload) => {
+      // payload for "single": optionId string
+      // payload for "multi": array of optionIds
+      if (q.type === "multi") {
+        setManyAnswers(q.id, payload);
+      } else {
+        setAnswer(q.id, payload);
+      }
+
+      // Auto-advance behavior:
+      // - single: advance immediately
+      // - multi: user taps "Next" (enabled by the store subscription)
+      if (q.type === "single") goNext(q, editing);
+    },
+  });
+
+  // For multi questions, enable next if already has selection
+  if (q.type === "multi") syncNextEnabled(q.id);
+}
+
+/**
+ * Slider and ranking always show a value (midpoint / listed order), so
+ * "Next" without touching them accepts what's on screen — unless the
+ * adopter already said "not sure".
+ */
+function commitDefaultAnswer(q) {
+  const current = getState().answers?.[q.id];
+  if (current === UNSURE_ANSWER) return;
+
+  if (q.type === "slider" && typeof current !== "number") {
+    setAnswer(q.id, defaultSliderValue(q));
+  } else if (q.type === "ranking" && !Array.isArray(current)) {
+    setManyAnswers(q.id, normalizeOrder(null, q.options));
+  }
+}
+
 /* ==========================================================================
    Markup helpers
    ========================================================================== */
@@ -135,7 +279,7 @@ function renderDots(index, total) {
   return dots.join("");
 }
 
-function renderQuestionCard(q) {
+function renderQuestionCard(q, current, isStale) {
   const visualSrc = resolveQuizVisual(q.visual);
   const bg = visualSrc ? `style="--q-visual:url('${escapeAttr(visualSrc)}')"` : "";
 
@@ -147,6 +291,7 @@ function renderQuestionCard(q) {
         <div class="quiz-section-chip">
           ${escapeHtml(labelForSection(q.section))}
         </div>
+        ${isStale ? `<div class="quiz-section-chip quiz-updated-chip">Updated — please answer again</div>` : ""}
 
         <h2 class="quiz-question">
           ${escapeHtml(q.title)}
@@ -154,6 +299,8 @@ function renderQuestionCard(q) {
 
         <div id="choicesMount" class="quiz-choices"></div>
 
+        ${q.allow_unsure ? renderUnsureButton(current === UNSURE_ANSWER) : ""}
+
         <p class="quiz-hint">
           ${hintForType(q.type)}
         </p>
@@ -162,20 +309,37 @@ function renderQuestionCard(q) {
   `;
 }
 
-function renderBottomBar(q, index, total) {
-  const isFirst = index === 0;
+function renderUnsureButton(isSelected) {
+  return `
+    <button
+      class="quiz-unsure-btn ${isSelected ? "is-selected" : ""}"
+      id="quizUnsureBtn"
+      type="button"
+      aria-pressed="${isSelected ? "true" : "false"}"
+    >
+      Not sure yet
+    </button>
+  `;
+}
+
+function renderBottomBar(q, index, total, editing) {
+  const isFirst = index === 0 && !editing;
   const isLast = index === total - 1;
 
-  const nextLabel = isLast ? "See results" : "Next";
-  const backLabel = "Back";
+  const nextLabel = editing ? "Save" : isLast ? "Almost done" : "Next";
+  const backLabel = editing ? "Back to review" : "Back";
 
   // Next button behavior:
   // - single: hidden (auto-advance)
   // - multi: visible, disabled until selection
+  // - numeric: visible, disabled until the number is valid
+  // - slider / ranking: visible, always enabled (on-screen value is an answer)
   const nextBtnMarkup =
-    q.type === "multi"
-      ? `<button class="primary-cta btn-primary" id="quizNextBtn" disabled aria-disabled="true">${nextLabel}</button>`
-      : `<button class="primary-cta btn-primary hidden" id="quizNextBtn" disabled aria-disabled="true">${nextLabel}</button>`;
+    q.type === "single"
+      ? `<button class="primary-cta btn-primary hidden" id="quizNextBtn" disabled aria-disabled="true">${nextLabel}</button>`
+      : q.type === "slider" || q.type === "ranking"
+        ? `<button class="primary-cta btn-primary is-enabled" id="quizNextBtn">${nextLabel}</button>`
+        : `<button class="primary-cta btn-primary" id="quizNextBtn" disabled aria-disabled="true">${nextLabel}</button>`;
 
   return `
     <footer class="quiz-bottombar quiz-nav">
@@ -192,57 +356,146 @@ function renderBottomBar(q, index, total) {
    Nav helpers
    ========================================================================== */
 
-function goBack(index) {
+function goBack(q, editing) {
   const state = getState();
-  const nextIndex = Math.max(0, index - 1);
-  state.quizIndex = nextIndex;
-  navigate("quiz");
+
+  if (editing) {
+    navigate("review");
+    return;
+  }
+
+  if (state.quizMode === "adaptive") {
+    const prev = state.askedOrder[state.askedOrder.indexOf(q.id) - 1];
+    if (prev) navigate(`quiz:${prev}`);
+    return;
+  }
+
+  const visible = selectVisibleQuestions(state);
+  const prev = visible[Math.max(0, visible.indexOf(q) - 1)] || q;
+
+  navigate(`quiz:${prev.id}`);
 }
 
-function goNext(index, total) {
+function goNext(q, editing) {
   const state = getState();
-  const nextIndex = index + 1;
 
-  if (nextIndex >= total) {
-    // Completed quiz
-    state.quizIndex = total - 1;
-    navigate("results");
+  if (editing) {
+    returnToReview(q);
+    return;
+  }
+
+  if (state.quizMode === "adaptive") {
+    const pick = pickNextQuestion(state.answers, {
+      weights: state.weights || undefined,
+      exclude: state.askedOrder,
+    });
+
+    // Top matches are stable → rate priorities before results
+    navigate(pick ? `quiz:${pick.question.id}` : "priorities");
     return;
   }
 
-  state.quizIndex = nextIndex;
-  navigate("quiz");
+  // Re-evaluate visibility: this answer may reveal or hide later questions
+  const visible = selectVisibleQuestions(state);
+  const next = visible[visible.indexOf(q) + 1];
+
+  // Completed quiz → rate priorities before results
+  navigate(next ? `quiz:${next.id}` : "priorities");
+}
+
+/**
+ * Jump-to-edit: once the answer is in, go back to the review — unless a
+ * question still needs an answer: one a question-set update invalidated
+ * (any mode), or one the new answer revealed (full mode only; adaptive
+ * mode never asks everything anyway).
+ */
+function returnToReview(q) {
+  const state = getState();
+
+  const stale = selectStaleQuestions(state).find((x) => x !== q);
+  if (stale) {
+    navigate(`quiz:${stale.id}`, { query: EDIT_QUERY });
+    return;
+  }
+
+  if (state.quizMode !== "adaptive") {
+    const visible = selectVisibleQuestions(state);
+    const open = visible.find((x) => x !== q && state.answers?.[x.id] === undefined);
+    if (open) {
+      navigate(`quiz:${open.id}`, { query: EDIT_QUERY });
+      return;
+    }
+  }
+
+  navigate("review");
+}
+
+/**
+ * Adaptive mode: keep the asked order in step with the URL. Landing on an
+ * earlier question (Back, browser history) drops everything asked after it;
+ * a new one is appended.
+ */
+function syncAskedOrder(questionId) {
+  const asked = getState().askedOrder;
+  const idx = asked.indexOf(questionId);
+
+  if (idx === -1) setAskedOrder([...asked, questionId]);
+  else if (idx < asked.length - 1) setAskedOrder(asked.slice(0, idx + 1));
+}
+
+/**
+ * The stored index may point at a question that is now hidden (e.g. stairs
+ * after switching to "house"); fall forward to the next visible one.
+ */
+function resolveVisibleQuestion(questions, visible, index) {
+  for (let i = index; i < questions.length; i++) {
+    if (visible.includes(questions[i])) return questions[i];
+  }
+  return visible[visible.length - 1] || questions[0];
+}
+
+/**
+ * Adaptive mode: the current question is the last one asked that is still
+ * visible; on a fresh start, ask the most decisive question first. When no
+ * question is decisive yet, start with the first open one: adaptive results
+ * need at least one answer, so skipping ahead would bounce straight back.
+ */
+function resolveAdaptiveQuestion(visible) {
+  const state = getState();
+  const asked = state.askedOrder.filter((id) => visible.some((q) => q.id === id));
+
+  if (asked.length > 0) {
+    if (asked.length !== state.askedOrder.length) setAskedOrder(asked);
+    return visible.find((q) => q.id === asked[asked.length - 1]);
+  }
+
+  const pick = pickNextQuestion(state.answers, { weights: state.weights || undefined });
+  const first = pick?.question ?? visible.find((q) => state.answers?.[q.id] === undefined);
+  if (!first) return null;
+
+  setAskedOrder([first.id]);
+  return first;
 }
 
 function syncNextEnabled(questionId) {
   const state = getState();
+  const sel = state.answers?.[questionId];
+  setNextEnabled(Array.isArray(sel) ? sel.length > 0 : !!sel);
+}
+
+function setNextEnabled(enabled) {
   const nextBtn = document.getElementById("quizNextBtn");
   if (!nextBtn) return;
 
-  const sel = state.answers?.[questionId];
-  const hasSelection = Array.isArray(sel) ? sel.length > 0 : !!sel;
-  nextBtn.disabled = !hasSelection;
-  nextBtn.setAttribute("aria-disabled", hasSelection ? "false" : "true");
-  nextBtn.classList.toggle("is-enabled", hasSelection);
+  nextBtn.disabled = !enabled;
+  nextBtn.setAttribute("aria-disabled", enabled ? "false" : "true");
+  nextBtn.classList.toggle("is-enabled", enabled);
 }
 
 /* ==========================================================================
    Small utilities
    ========================================================================== */
 
-function labelForSection(section) {
-  const map = {
-    home: "Home",
-    lifestyle: "Lifestyle",
-    work: "Workday",
-    household: "Household",
-    social: "Social",
-    experience: "Experience",
-    tolerance: "Tolerances",
-  };
-  return map[section] || "Quiz";
-}
-
 function resolveQuizVisual(visualKey) {
   const key = String(visualKey || "").trim();
   const map = {
@@ -263,6 +516,9 @@ function resolveQuizVisual(visualKey) {
 
 function hintForType(type) {
   if (type === "multi") return "Pick all that apply";
+  if (type === "slider") return "Slide to the spot that fits";
+  if (type === "ranking") return "Drag to order — most important first";
+  if (type === "numeric") return "Enter a number";
   return "Tap one to continue";
 }
 
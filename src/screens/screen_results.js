@@ -1,26 +1,39 @@
 /* ==========================================================================
    screen_results.js — AdoptMatch
-   Visual-first results: swipeable matches + minimal text + "why" badges
+   Visual-first results: swipeable matches + minimal text + "why" badges.
+   Also renders shared links (#/shared/<code>) read-only: the recipient's
+   app works the results out from the answers in the link.
    ========================================================================== */
 
-import { navigate } from "../router.js";
-import { getState, resetQuiz } from "../state.js";
-import { getArchetypes } from "../match/archetypes.js";
-import { buildUserProfileFromState } from "../state.js";
-import { filterArchetypes, applyPenalties } from "../match/rules.js";
-import { rankArchetypes } from "../match/scoring.js";
+import { navigate, routeHref } from "../router.js";
+import { getState, resetQuiz, selectActiveSavedProfile, selectSavedProfiles } from "../state.js";
+import { getArchetypes, getArchetypeById, traitMidpoints } from "../match/archetypes.js";
+import { computeMatches } from "../match/engine.js";
+import { findUnblockingChanges } from "../match/counterfactual.js";
+import { numericBand } from "../match/profile.js";
+import { getQuestions, pruneHiddenAnswers } from "../data/questions.js";
+import { encodeShareCode } from "../data/share.js";
+import { buildWeightsFromPriorities } from "../match/priorities.js";
+import { TRAITS, TRAIT_LABELS } from "../match/scoring.js";
+import { renderTraitRadar } from "../components/TraitRadar.js";
 
 /**
  * Render Results Screen
- * - Top carousel of best archetypes (cards with images)
- * - Fit badges + trait radar placeholder (later)
+ * - Top carousel of best archetypes (cards with images), pick 2–3 to compare
+ * - Fit badges + trait radar (your answers vs the archetype)
  * - Optional "Avoid for you" chips (blocked archetypes)
+ *
+ * @param {{ answers: object, priorities: object, dropped: string[] } | null} [shared]
+ *   a decoded share link (see data/share.js): someone else's results,
+ *   read-only — the viewer's own answers are left alone
+ * @returns {() => void} disposer for the router
  */
-export function renderResultsScreen() {
+export function renderResultsScreen(shared = null) {
   const app = document.getElementById("app");
   if (!app) return;
 
   const state = getState();
+  const answers = shared ? shared.answers : state.answers || {};
   const archetypes = getArchetypes();
 
   if (!archetypes || archetypes.length === 0) {
@@ -29,53 +42,59 @@ export function renderResultsScreen() {
   }
 
   // If quiz not completed (no answers), send back
-  const answersCount = Object.keys(state.answers || {}).length;
+  const answersCount = Object.keys(answers).length;
   if (answersCount === 0) {
     navigate("welcome");
     return;
   }
 
-  // Build user profile (traits + flags) from stored answers
-  const user = buildUserProfileFromState(state);
-
-  // Hard filters
-  const { allowed, blocked } = filterArchetypes(archetypes, user);
-
-  // Score only allowed archetypes
-  const allowedArchetypes = allowed.map((x) => x.archetype);
-  const ranked = rankArchetypes(allowedArchetypes, user.traits);
-
-  // Merge penalties & archetype metadata
-  const merged = ranked.map((r) => {
-    const entry = allowed.find((a) => a.archetype.id === r.id);
-    const penaltyRes = applyPenalties(r.score, entry?.penalties || []);
-    const archetype = entry?.archetype;
-
-    return {
-      id: r.id,
-      archetype,
-      baseScore: r.score,
-      score: penaltyRes.score,
-      penalties: penaltyRes.applied,
-      diffs: r.diffs,
-    };
-  });
-
-  merged.sort((a, b) => b.score - a.score);
-
-  const top = merged.slice(0, 5);
-  const avoid = blocked.slice(0, 5);
-
-  app.innerHTML = `
-    <section class="screen screen-results safe-area-padding">
-      ${renderTopBar()}
-      ${renderHeader(top)}
-      ${renderCarousel(top)}
-      ${renderQuickNotes(user)}
-      ${renderAvoidSection(avoid)}
-      ${renderBottomActions()}
-    </section>
-  `;
+  // Run the headless match pipeline, then attach archetype objects for markup
+  // (full rule trace so the avoid list can name every reason, not just the first)
+  const weights = shared ? sharedWeights(shared.priorities) : state.weights || undefined;
+  const report = computeMatches(answers, { weights, options: { trace: true } });
+  const user = report.profile;
+
+  const top = report.top.map((r) => ({ ...r, archetype: getArchetypeById(r.id) }));
+  // "What would make this work" is advice for your own answers only
+  const avoid = report.avoid.map((b) => ({
+    ...b,
+    archetype: getArchetypeById(b.id),
+    fixes: shared ? null : findUnblockingChanges(answers, b.id, { weights }),
+  }));
+
+  app.innerHTML = shared
+    ? `
+      <section class="screen screen-results is-shared safe-area-padding">
+        ${renderSharedTopBar()}
+        ${renderSharedNotice(shared.dropped)}
+        ${renderHeader(top, { shared: true })}
+        ${renderCarousel(top, { interactive: false, user })}
+        ${renderQuickNotes(user)}
+        ${renderAvoidSection(avoid, report.ranked.length + 1)}
+        ${renderReadingSection(user.provenance)}
+        ${renderSharedActions()}
+      </section>
+    `
+    : `
+      <section class="screen screen-results safe-area-padding">
+        ${renderTopBar()}
+        ${renderHeader(top)}
+        ${renderProfileBar(selectActiveSavedProfile(state), selectSavedProfiles(state).length)}
+        ${renderCarousel(top, { user })}
+        ${renderComparePicker(top)}
+        ${renderQuickNotes(user)}
+        ${renderUnsureSection(user.uncertain, report.weights)}
+        ${renderAvoidSection(avoid, report.ranked.length + 1)}
+        ${renderReadingSection(user.provenance)}
+        ${renderBottomActions()}
+      </section>
+    `;
+
+  if (shared) {
+    document.getElementById("sharedBackBtn")?.addEventListener("click", () => navigate("welcome"));
+    document.getElementById("sharedStartBtn")?.addEventListener("click", () => navigate("welcome"));
+    return;
+  }
 
   // Wire events
   const restartBtn = document.getElementById("restartBtn");
@@ -92,11 +111,15 @@ export function renderResultsScreen() {
 
   if (backBtn) {
     backBtn.addEventListener("click", () => {
-      // go back to quiz at last answered index (or 0)
-      navigate("quiz");
+      // back to the answer review (priorities and quiz are further back)
+      navigate("review");
     });
   }
 
+  document.getElementById("profilesBtn")?.addEventListener("click", () => navigate("profiles"));
+  document.getElementById("shareBtn")?.addEventListener("click", () => shareResults(state, top[0]?.archetype));
+  document.getElementById("printPackBtn")?.addEventListener("click", () => navigate("print"));
+
   // Card detail click
   const cards = document.querySelectorAll("[data-archetype-card]");
   cards.forEach((card) => {
@@ -107,7 +130,11 @@ export function renderResultsScreen() {
     });
   });
 
+  wireComparePicker();
+
   // Swipe affordance: horizontal scroll with snap already works via CSS.
+
+  return () => clearToast();
 }
 
 /* ==========================================================================
@@ -117,7 +144,7 @@ export function renderResultsScreen() {
 function renderTopBar() {
   return `
     <header class="results-topbar">
-      <button class="icon-btn" id="backToQuizBtn" aria-label="Back to quiz">
+      <button class="icon-btn" id="backToQuizBtn" aria-label="Back to review">
         ←
       </button>
 
@@ -133,7 +160,42 @@ function renderTopBar() {
   `;
 }
 
-function renderHeader(top) {
+function renderSharedTopBar() {
+  return `
+    <header class="results-topbar">
+      <button class="icon-btn" id="sharedBackBtn" aria-label="Go to start">
+        ←
+      </button>
+
+      <div class="results-titlewrap">
+        <div class="results-eyebrow">Shared with you</div>
+        <div class="results-title">Someone’s adoption matches</div>
+      </div>
+
+      <div aria-hidden="true"></div>
+    </header>
+  `;
+}
+
+/**
+ * Where these results come from, and what an older link lost on the way.
+ */
+function renderSharedNotice(dropped) {
+  const count = (dropped || []).length;
+
+  return `
+    <div class="results-shared-notice" role="note">
+      Worked out on this device from the answers in the link — nothing was sent anywhere.
+      ${
+        count
+          ? `<strong>${count} ${count === 1 ? "answer" : "answers"} no longer ${count === 1 ? "fits" : "fit"} the current quiz and ${count === 1 ? "was" : "were"} left out.</strong>`
+          : ""
+      }
+    </div>
+  `;
+}
+
+function renderHeader(top, { shared = false } = {}) {
   const best = top[0]?.archetype;
   const name = best?.name || "Your top match";
 
@@ -143,27 +205,74 @@ function renderHeader(top) {
         <div class="results-hero-label">Top match</div>
         <div class="results-hero-name">${escapeHtml(name)}</div>
         <div class="results-hero-sub">
-          Tap any card to see “what to look for” at the shelter.
+          ${
+            shared
+              ? "Mix archetypes, not breeds — a guide for questions at the shelter."
+              : "Tap any card to see “what to look for” at the shelter."
+          }
         </div>
       </div>
     </div>
   `;
 }
 
-function renderCarousel(items) {
+/**
+ * Which saved profile these results belong to, with a way to compare.
+ */
+function renderProfileBar(active, count) {
+  if (!active) return "";
+
+  return `
+    <div class="results-profile-bar">
+      <span class="results-profile-name">Profile: <strong>${escapeHtml(active.name)}</strong></span>
+      <button class="secondary-cta" id="profilesBtn" type="button">
+        ${count > 1 ? "Compare profiles" : "Try a what-if"}
+      </button>
+    </div>
+  `;
+}
+
+function renderCarousel(items, { interactive = true, user = null } = {}) {
   if (!items || items.length === 0) return "";
 
   return `
     <div class="results-carousel" aria-label="Match results carousel">
-      ${items.map((x) => renderArchetypeCard(x)).join("")}
+      ${items.map((x) => renderArchetypeCard(x, interactive, user)).join("")}
     </div>
   `;
 }
 
-function renderArchetypeCard(x) {
+/**
+ * Pick two or three matches to see side by side; the top two start picked.
+ */
+function renderComparePicker(items) {
+  if (!items || items.length < 2) return "";
+
+  return `
+    <div class="results-compare" role="group" aria-labelledby="compareLabel">
+      <div class="results-compare-label" id="compareLabel">Compare side by side (pick 2–3)</div>
+      <div class="results-compare-chips">
+        ${items
+          .map(
+            (x, i) => `
+              <button class="results-compare-chip" type="button"
+                data-compare-pick="${escapeAttr(x.archetype.id)}" aria-pressed="${i < 2}">
+                ${escapeHtml(x.archetype.name)}
+              </button>
+            `
+          )
+          .join("")}
+      </div>
+      <button class="secondary-cta" id="compareBtn" type="button">Compare</button>
+    </div>
+  `;
+}
+
+function renderArchetypeCard(x, interactive = true, user = null) {
   const a = x.archetype;
   const cover = pickCover(a);
   const score = Math.round(x.score);
+  const bandMin = Math.round(x.band?.min ?? x.score);
 
   const badges = buildBadges(a);
   const breedExamples = renderBreedExamplesCard(a);
@@ -171,11 +280,15 @@ function renderArchetypeCard(x) {
   return `
     <article
       class="result-card"
-      data-archetype-card="true"
+      ${
+        interactive
+          ? `data-archetype-card="true"
       data-archetype-id="${escapeAttr(a.id)}"
       role="button"
       tabindex="0"
-      aria-label="Open ${escapeAttr(a.name)} details"
+      aria-label="Open ${escapeAttr(a.name)} details"`
+          : ""
+      }
     >
       <div class="result-card-media">
         <img src="${escapeAttr(cover)}" alt="${escapeHtml(a.name)}" loading="lazy" />
@@ -185,6 +298,11 @@ function renderArchetypeCard(x) {
 
       <div class="result-card-body">
         <div class="result-card-name">${escapeHtml(a.name)}</div>
+        ${
+          bandMin < score
+            ? `<div class="result-card-band">Fit ${bandMin}–${score} · this mix varies a lot</div>`
+            : ""
+        }
 
         <div class="result-card-badges" aria-label="Fit highlights">
           ${badges.map((b) => `<span class="badge">${escapeHtml(b)}</span>`).join("")}
@@ -194,6 +312,19 @@ function renderArchetypeCard(x) {
           ${renderWhyChips(a)}
         </div>
 
+        ${
+          user
+            ? renderTraitRadar({
+                archetype: a,
+                userTraits: user.traits,
+                uncertain: Object.keys(user.uncertain || {}),
+                size: "sm",
+                // A card that opens the detail is announced by its label alone
+                showTable: !interactive,
+              })
+            : ""
+        }
+
         ${breedExamples}
       </div>
     </article>
@@ -270,43 +401,329 @@ function renderQuickNotes(user) {
   `;
 }
 
-function renderAvoidSection(avoid) {
+/**
+ * "Your match would be clearer if you decided…": one line per question
+ * answered "not sure", heaviest-weighted traits first.
+ */
+function renderUnsureSection(uncertain, weights) {
+  const byQuestion = new Map();
+  for (const [trait, ids] of Object.entries(uncertain || {})) {
+    for (const id of ids) {
+      if (!byQuestion.has(id)) byQuestion.set(id, []);
+      byQuestion.get(id).push(trait);
+    }
+  }
+  if (byQuestion.size === 0) return "";
+
+  const weightOf = (traits) => traits.reduce((sum, k) => sum + (Number(weights?.[k]) || 0), 0);
+  const rows = Array.from(byQuestion.entries()).sort((a, b) => weightOf(b[1]) - weightOf(a[1]));
+  const questions = getQuestions() || [];
+
+  return `
+    <div class="unsure-wrap">
+      <div class="unsure-title">Your match would be clearer if you decided…</div>
+      <ul class="unsure-list">
+        ${rows
+          .map(([id, traits]) => {
+            const title = questions.find((q) => q.id === id)?.title || id;
+            const labels = traits.map((k) => TRAIT_LABELS[k] || k).join(", ");
+            return `
+              <li class="unsure-item">
+                <span class="unsure-question">${escapeHtml(title)}</span>
+                <span class="unsure-traits">Affects: ${escapeHtml(labels)}</span>
+              </li>
+            `;
+          })
+          .join("")}
+      </ul>
+    </div>
+  `;
+}
+
+function renderAvoidSection(avoid, total) {
   if (!avoid || avoid.length === 0) return "";
 
   return `
     <div class="avoid-wrap">
       <div class="avoid-title">Avoid (for your situation)</div>
-      <div class="avoid-sub">Not “bad dogs” — just higher mismatch risk.</div>
-
-      <div class="avoid-chips" aria-label="Avoid list">
-        ${avoid
-          .map((x) => {
-            const name = x.archetype?.name || x.archetype?.id || "Profile";
-            return `<span class="avoid-chip" title="${escapeAttr(
-              (x.reasons || []).join(" ")
-            )}">${escapeHtml(name)}</span>`;
-          })
-          .join("")}
+      <div class="avoid-sub">
+        Not “bad dogs” — just higher mismatch risk. Tap one to see ${avoid[0].fixes ? "what would change it" : "why"}.
+      </div>
+
+      <div class="avoid-list" aria-label="Avoid list">
+        ${avoid.map((x) => renderAvoidItem(x, total)).join("")}
       </div>
     </div>
   `;
 }
 
+function renderAvoidItem(x, total) {
+  const name = x.archetype?.name || x.name || x.id || "Profile";
+  const reasons = x.reasons || [];
+  const fixes = x.fixes;
+
+  return `
+    <details class="avoid-item">
+      <summary class="avoid-chip">${escapeHtml(name)}</summary>
+
+      <div class="avoid-body">
+        <ul class="avoid-reasons">
+          ${reasons.map((r) => `<li>${escapeHtml(r)}</li>`).join("")}
+        </ul>
+
+        ${fixes ? renderFixes(fixes, total) : ""}
+      </div>
+    </details>
+  `;
+}
+
+function renderFixes(fixes, total) {
+  return `
+    <div class="avoid-fix-title">What would make this work</div>
+    ${
+      fixes.length
+        ? `<ul class="avoid-fixes">
+            ${fixes.map((f) => renderFix(f, total)).join("")}
+          </ul>`
+        : `<div class="avoid-fix-none">Not within a couple of changes — this one really is a stretch for now.</div>`
+    }
+  `;
+}
+
+function renderFix(fix, total) {
+  const steps = fix.changes.map((c) => escapeHtml(describeChange(c))).join(" + ");
+  return `
+    <li class="avoid-fix">
+      <span class="avoid-fix-steps">${steps}</span>
+      <span class="avoid-fix-rank">→ about #${fix.rank} of ${total}</span>
+    </li>
+  `;
+}
+
+function describeChange(change) {
+  const q = (getQuestions() || []).find((x) => x.id === change.questionId);
+  const opt = (q?.options || []).find((o) => o.id === change.optionId);
+  const label =
+    "value" in change
+      ? describeValue(q, change.value)
+      : opt
+        ? [opt.label, opt.subtitle].filter(Boolean).join(" · ")
+        : change.optionId;
+  const title = q?.title || change.questionId;
+
+  if (change.kind === "add") return `Add “${label}” (${title})`;
+  if (change.kind === "remove") return `Drop “${label}” (${title})`;
+  return `Answer “${label}” to “${title}”`;
+}
+
+/**
+ * Numeric edits are one value per band, so name the band ("3–5 hours");
+ * slider edits use the question's value labels when it has them.
+ */
+function describeValue(q, value) {
+  const unit = q?.unit ? ` ${q.unit}` : "";
+
+  if (q?.type === "numeric") {
+    const bands = q.bands || [];
+    const i = bands.indexOf(numericBand(q, value));
+    const lo = i > 0 ? Number(bands[i - 1].below) : null;
+    const hi = i < bands.length - 1 ? Number(bands[i].below) : null;
+
+    if (lo === null && hi !== null) return `Under ${hi}${unit}`;
+    if (hi === null && lo !== null) return `${lo}+${unit}`;
+    if (lo !== null && hi !== null) return `${lo}–${hi}${unit}`;
+  }
+
+  return describeAnswerValue(q, value);
+}
+
+const STRATEGY_TEXT = {
+  sum: "added together",
+  min: "the most cautious answer counts",
+  max: "the strongest answer counts",
+  average: "averaged",
+};
+
+/**
+ * "How we read your answers": each trait the quiz touched, its value and
+ * the answers that produced it (from profile.provenance).
+ */
+function renderReadingSection(provenance) {
+  const traits = TRAITS.filter((k) => provenance?.[k]);
+  if (traits.length === 0) return "";
+
+  return `
+    <details class="reading-wrap">
+      <summary class="reading-title">How we read your answers</summary>
+      <ul class="reading-list">
+        ${traits.map((k) => renderReadingRow(k, provenance[k])).join("")}
+      </ul>
+    </details>
+  `;
+}
+
+function renderReadingRow(trait, entry) {
+  const sources = entry.sources.map((x) => escapeHtml(describeSource(x))).join(" · ");
+  const how = entry.sources.length > 1 ? STRATEGY_TEXT[entry.strategy] : null;
+
+  return `
+    <li class="reading-row">
+      <div class="reading-trait">
+        <span>${escapeHtml(TRAIT_LABELS[trait] || trait)}</span>
+        <span class="reading-value">${escapeHtml(fmt(entry.value))} / 4</span>
+      </div>
+      <div class="reading-sources">${sources}${how ? ` <span class="reading-how">(${escapeHtml(how)})</span>` : ""}</div>
+    </li>
+  `;
+}
+
+function describeSource(source) {
+  const q = (getQuestions() || []).find((x) => x.id === source.questionId);
+  const opt = (q?.options || []).find((o) => o.id === source.optionId);
+  const answer = opt ? opt.label : describeAnswerValue(q, source.answer);
+  return `${q?.title || source.questionId} → ${answer}`;
+}
+
+function describeAnswerValue(q, value) {
+  const named = q?.value_labels?.[Math.round(Number(value) - Number(q.min ?? 0))];
+  return named || `${value}${q?.unit ? ` ${q.unit}` : ""}`;
+}
+
+function fmt(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(1);
+}
+
 function renderBottomActions() {
   return `
     <footer class="results-actions">
       <button class="secondary-cta" id="restartBtnBottom">Restart</button>
-      <button class="primary-cta btn-primary" id="shareBtn" disabled title="Coming soon" aria-disabled="true">
+      <button class="primary-cta btn-primary" id="shareBtn" type="button">
         Share results
       </button>
+      <button class="secondary-cta results-print-btn" id="printPackBtn" type="button">
+        🖨️ Shelter-visit pack
+      </button>
+      <p class="results-share-note">
+        The link carries your answers, so only send it to people you’d show them to. Nothing is uploaded.
+      </p>
+    </footer>
+  `;
+}
+
+function renderSharedActions() {
+  return `
+    <footer class="results-actions">
+      <button class="primary-cta btn-primary" id="sharedStartBtn" type="button">
+        Find your own matches
+      </button>
     </footer>
   `;
 }
 
+/* ==========================================================================
+   Compare picker
+   ========================================================================== */
+
+const MAX_COMPARE = 3;
+
+function wireComparePicker() {
+  const chips = Array.from(document.querySelectorAll("[data-compare-pick]"));
+  const compareBtn = document.getElementById("compareBtn");
+  if (!compareBtn || chips.length === 0) return;
+
+  // Picks in carousel order, so the best match is the first column
+  const picked = () => chips.filter((c) => c.getAttribute("aria-pressed") === "true");
+
+  const sync = () => {
+    const count = picked().length;
+    compareBtn.disabled = count < 2;
+    compareBtn.textContent = count < 2 ? "Pick at least 2" : `Compare ${count}`;
+    chips.forEach((c) => {
+      c.disabled = count >= MAX_COMPARE && c.getAttribute("aria-pressed") !== "true";
+    });
+  };
+
+  chips.forEach((chip) => {
+    chip.addEventListener("click", () => {
+      const on = chip.getAttribute("aria-pressed") === "true";
+      chip.setAttribute("aria-pressed", String(!on));
+      sync();
+    });
+  });
+
+  compareBtn.addEventListener("click", () => {
+    const ids = picked().map((c) => c.getAttribute("data-compare-pick"));
+    if (ids.length >= 2) navigate(`compare:${ids.join("/")}`);
+  });
+
+  sync();
+}
+
+/* ==========================================================================
+   Sharing
+   ========================================================================== */
+
+/**
+ * Share a link to these results: the Web Share sheet where there is one,
+ * otherwise copy to the clipboard (or show the link to copy by hand).
+ * The link is the only thing that leaves the device.
+ */
+async function shareResults(state, best) {
+  // Answers to questions hidden by showIf (stairs after moving to a house) stay behind
+  const code = encodeShareCode({ answers: pruneHiddenAnswers(state.answers || {}), priorities: state.priorities });
+  const url = `${location.href.split("#")[0]}${routeHref(`shared:${code}`)}`;
+
+  if (navigator.share) {
+    try {
+      await navigator.share({
+        title: "Our AdoptMatch results",
+        text: best ? `Top match: ${best.name}` : "Our adoption matches",
+        url,
+      });
+      return;
+    } catch (err) {
+      // Closing the share sheet is not a failure
+      if (err?.name === "AbortError") return;
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    toast("Link copied ✅");
+  } catch (_) {
+    window.prompt("Copy this link to share your results", url);
+  }
+}
+
 /* ==========================================================================
    Helpers
    ========================================================================== */
 
+// Shared ratings → weights; no ratings means the defaults
+function sharedWeights(priorities) {
+  return Object.keys(priorities || {}).length ? buildWeightsFromPriorities(priorities) : undefined;
+}
+
+let _toastTimer = null;
+function toast(message) {
+  clearToast();
+
+  const el = document.createElement("div");
+  el.id = "toast";
+  el.className = "toast";
+  el.textContent = message;
+  document.body.appendChild(el);
+
+  _toastTimer = setTimeout(() => {
+    el.remove();
+  }, 1400);
+}
+
+function clearToast() {
+  clearTimeout(_toastTimer);
+  document.getElementById("toast")?.remove();
+}
+
 function pickCover(archetype) {
   // Use illustrations first; fall back to a shared hero image.
   const id = archetype.id || "";
@@ -329,7 +746,7 @@ function pickCover(archetype) {
 
 function buildBadges(archetype) {
   // Visual-first highlights. Keep them short.
-  const t = archetype.traits || {};
+  const t = traitMidpoints(archetype?.traits);
   const badges = [];
 
   if ((t.T9 ?? 2) >= 3) badges.push("Apartment-friendly");
@@ -0,0 +1,145 @@
+/* ==========================================================================
+   screen_review.js — AdoptMatch
+   "Check your answers" step between priorities and results.
+   Every asked question grouped by section; tapping one jumps back into the
+   quiz for that question and returns here afterwards.
+   ========================================================================== */
+
+import { navigate } from "../router.js";
+import { labelForSection, describeAnswer } from "../data/questions.js";
+import { getState, selectVisibleQuestions } from "../state.js";
+
+/**
+ * Review screen renderer
+ * - Sections in quiz order, one row per visible question
+ * - Adaptive mode lists only the questions that were actually answered
+ */
+export function renderReviewScreen() {
+  const app = document.getElementById("app");
+  if (!app) return;
+
+  const state = getState();
+  const answers = state.answers || {};
+
+  if (Object.keys(answers).length === 0) {
+    navigate("welcome");
+    return;
+  }
+
+  const visible = selectVisibleQuestions(state).filter(
+    (q) => state.quizMode !== "adaptive" || answers[q.id] !== undefined
+  );
+
+  app.innerHTML = `
+    <section class="screen screen-review safe-area-padding">
+      <header class="quiz-topbar">
+        <button class="icon-btn" id="reviewBackBtn" aria-label="Back to priorities">←</button>
+        <div class="review-titlewrap">
+          <div class="results-eyebrow">Before your results</div>
+          <div class="results-title">Check your answers</div>
+        </div>
+        <div aria-hidden="true"></div>
+      </header>
+
+      <main class="review-list">
+        ${groupBySection(visible)
+          .map((g) => renderSection(g, answers))
+          .join("")}
+      </main>
+
+      <footer class="quiz-bottombar quiz-nav">
+        <button class="secondary-cta" id="reviewBackBottomBtn">Back</button>
+        <button class="primary-cta btn-primary" id="reviewDoneBtn">See results</button>
+      </footer>
+    </section>
+  `;
+
+  // Jump-to-edit
+  app.querySelectorAll("[data-review-question]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const qid = btn.getAttribute("data-review-question");
+      if (qid) navigate(`quiz:${qid}`, { query: { return: "review" } });
+    });
+  });
+
+  document.getElementById("reviewBackBtn")?.addEventListener("click", () => navigate("priorities"));
+  document.getElementById("reviewDoneBtn")?.addEventListener("click", () => navigate("results"));
+  document.getElementById("reviewBackBottomBtn")?.addEventListener("click", () => navigate("priorities"));
+}
+
+/* ==========================================================================
+   Markup helpers
+   ========================================================================== */
+
+function groupBySection(questions) {
+  const groups = [];
+  for (const q of questions) {
+    const last = groups[groups.length - 1];
+    if (last && last.section === q.section) last.questions.push(q);
+    else groups.push({ section: q.section, questions: [q] });
+  }
+  return groups;
+}
+
+function renderSection(group, answers) {
+  return `
+    <section class="review-section">
+      <h3 class="review-section-title">${escapeHtml(labelForSection(group.section))}</h3>
+      <ul class="review-items">
+        ${group.questions.map((q) => renderItem(q, answers[q.id])).join("")}
+      </ul>
+    </section>
+  `;
+}
+
+function renderItem(q, answer) {
+  const picked = pickedOptions(q, answer);
+  const images = picked.filter((o) => o.image).slice(0, 3);
+
+  return `
+    <li>
+      <button class="review-item" type="button" data-review-question="${escapeAttr(q.id)}">
+        ${
+          images.length
+            ? `<span class="review-thumbs" aria-hidden="true">
+                ${images.map((o) => `<img src="${escapeAttr(normalizeImagePath(o.image))}" alt="" loading="lazy" />`).join("")}
+              </span>`
+            : ""
+        }
+        <span class="review-text">
+          <span class="review-question">${escapeHtml(q.title)}</span>
+          <span class="review-answer ${answer === undefined ? "is-missing" : ""}">${escapeHtml(describeAnswer(q, answer))}</span>
+        </span>
+        <span class="review-edit" aria-hidden="true">Edit</span>
+      </button>
+    </li>
+  `;
+}
+
+function pickedOptions(q, answer) {
+  const ids = Array.isArray(answer) ? answer : [answer];
+  return (q.options || []).filter((o) => ids.includes(o.id));
+}
+
+/* ==========================================================================
+   Small utilities
+   ========================================================================== */
+
+function normalizeImagePath(path) {
+  const p = String(path || "").trim();
+  if (p.startsWith("./") || p.startsWith("/")) return p;
+  return `./${p}`;
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function escapeAttr(str) {
+  return String(str).replaceAll('"', "&quot;").replaceAll("'", "");
+}
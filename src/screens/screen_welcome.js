@@ -4,11 +4,17 @@
    ========================================================================== */
 
 import { navigate } from "../router.js";
+import { getState, setQuizMode, selectStaleQuestions, selectSavedProfiles, selectActiveSavedProfile } from "../state.js";
 
 export function renderWelcomeScreen() {
   const app = document.getElementById("app");
   if (!app) return;
 
+  // Returning adopter whose answers a question update invalidated
+  const stale = selectStaleQuestions(getState());
+  // Only worth mentioning once there is more than one profile to pick from
+  const profile = selectSavedProfiles(getState()).length > 1 ? selectActiveSavedProfile(getState()) : null;
+
   app.innerHTML = `
     <section class="screen screen-welcome safe-area-padding">
       <div class="welcome-hero">
@@ -45,12 +51,29 @@ export function renderWelcomeScreen() {
           </li>
         </ul>
 
+        ${stale.length ? renderUpdateNotice(stale.length) : ""}
+
         <button class="primary-cta btn-primary" id="startQuizBtn">
           Start the match
         </button>
 
         <p class="welcome-cta-note">Takes ~60 seconds</p>
 
+        <button class="secondary-cta" id="quickQuizBtn">
+          Quick match
+        </button>
+
+        <p class="welcome-cta-note">Only the questions that change your matches</p>
+
+        ${
+          profile
+            ? `<p class="welcome-cta-note">
+                Answering as <strong>${escapeHtml(profile.name)}</strong> ·
+                <button class="link-btn" id="switchProfileBtn" type="button">Switch</button>
+              </p>`
+            : ""
+        }
+
         <p class="welcome-footnote">
           No sign-up · Your answers stay on your device
         </p>
@@ -61,7 +84,44 @@ export function renderWelcomeScreen() {
   const startBtn = document.getElementById("startQuizBtn");
   if (startBtn) {
     startBtn.addEventListener("click", () => {
+      if (getState().quizMode !== "full") setQuizMode("full");
       navigate("quiz");
     });
   }
+
+  document.getElementById("updateAnswersBtn")?.addEventListener("click", () => {
+    // Walk the updated questions only, then land on the review
+    navigate(`quiz:${stale[0].id}`, { query: { return: "review" } });
+  });
+
+  document.getElementById("switchProfileBtn")?.addEventListener("click", () => navigate("profiles"));
+
+  const quickBtn = document.getElementById("quickQuizBtn");
+  if (quickBtn) {
+    quickBtn.addEventListener("click", () => {
+      setQuizMode("adaptive");
+      navigate("quiz");
+    });
+  }
+}
+
+function renderUpdateNotice(count) {
+  const what = count === 1 ? "a question" : `${count} questions`;
+  return `
+    <div class="welcome-update" role="status">
+      <p class="welcome-update-text">
+        We updated ${what} since your last visit. Answer ${count === 1 ? "it" : "them"} again to keep your matches accurate.
+      </p>
+      <button class="secondary-cta" id="updateAnswersBtn">Update my answers</button>
+    </div>
+  `;
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
 }
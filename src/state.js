@@ -1,36 +1,108 @@
 /* ==========================================================================
    state.js — AdoptMatch / Bonzo-app
-   Stores quiz answers + progress, persists to localStorage,
-   and builds the "user profile" (traits + flags) used by matching rules.
+   Store for quiz answers + progress: explicit actions, change subscriptions,
+   derived selectors. Every action replaces the (frozen) state object,
+   persists it to localStorage and notifies subscribers — nothing outside
+   this module can change state without going through an action.
+
+   Persisted state records its own `schema` and the `questionsVersion` the
+   answers were given under. syncQuestionSet() (after questions load)
+   migrates older answers and marks the ones a data update invalidated as
+   `staleQuestions`, to be answered again.
+
+   Saved profiles ("Our family", "If we move to a house"…) each own a full
+   answer set. The active profile's data lives at the top level, so every
+   selector and screen works on it unchanged; the others are parked in
+   `profiles[i].data` until switched to. Selectors accept either a state
+   snapshot or a profile's data (selectSavedProfileData).
+
+   Household mode merges several saved profiles (one per member) into joint
+   results; `household` keeps which profiles take part and the per-trait
+   merge policies chosen (see match/household.js).
 
    Exports:
    - initState()
    - hydrateState()
    - getState()
-   - setAnswer(questionId, optionId)
-   - setManyAnswers(questionId, optionIds[])
+   - subscribe(listener)                       → unsubscribe()
+   - QUIZ_MODES
+   Actions:
+   - setAnswer(questionId, optionId | number)
+   - setManyAnswers(questionId, optionIds[])   (multi + ranking, order kept)
+   - setPriority(priorityId, levelId)
+   - setQuizMode(mode)
+   - setQuizIndex(index)
+   - setAskedOrder(questionIds[])
+   - syncQuestionSet()
    - resetQuiz()
-   - buildUserProfileFromState(state)
+   - createProfile(name) / duplicateProfile(profileId, name)
+   - renameProfile(profileId, name) / switchProfile(profileId) / deleteProfile(profileId)
+   - setProfileNotes(text)
+   - importProfile({ name, createdAt, data }, { replaceId })   (see data/profile_file.js)
+   - setHouseholdMembers(profileIds[]) / setHouseholdPolicy(trait, policy)
+   Selectors (pure, take a state snapshot):
+   - selectVisibleQuestions(state)
+   - selectOpenQuestion(state)
+   - selectStaleQuestions(state)
+   - selectIsComplete(state)
+   - selectProgress(state)
+   - selectProfile(state)
+   - buildUserProfileFromState(state)          (alias of selectProfile)
+   - selectSavedProfiles(state)
+   - selectActiveSavedProfile(state)
+   - selectSavedProfileData(state, profileId)
+   - selectHousehold(state)
    ========================================================================== */
 
-import { getQuestions } from "./data/questions.js";
+import { getQuestions, getQuestionsMeta, getVisibleQuestions } from "./data/questions.js";
+import { migrateAnswers, findInvalidAnswers } from "./data/migrations.js";
+import { buildUserProfile } from "./match/profile.js";
+import { buildWeightsFromPriorities } from "./match/priorities.js";
+import { MERGE_POLICIES } from "./match/household.js";
+import { TRAITS } from "./match/scoring.js";
 
 const STORAGE_KEY = "adoptmatch_state_v1";
 
+// Shape of the persisted object: 1 = before schema / questionsVersion
+// existed, 2 = one answer set, 3 = named profiles
+const STATE_SCHEMA = 3;
+
+// Per-profile fields: top level for the active profile, `data` for the rest
+const PROFILE_FIELDS = [
+  "questionsVersion",
+  "quizIndex",
+  "answers",
+  "priorities",
+  "weights",
+  "quizMode",
+  "askedOrder",
+  "staleQuestions",
+  "notes",
+];
+
+const DEFAULT_PROFILE_NAME = "My answers";
+const MAX_PROFILE_NAME = 40;
+const MAX_NOTES = 2000;
+
+/**
+ * Quiz modes:
+ * - "full": every visible question in file order
+ * - "adaptive": most decisive question next, stops once the top matches settle
+ */
+export const QUIZ_MODES = ["full", "adaptive"];
+
 let _state = null;
+const _listeners = new Set();
 
 /**
  * Initialize state (in-memory). Call once at startup.
+ * Not persisted: writing the empty state here would wipe what
+ * hydrateState() is about to read.
  */
 export function initState() {
   if (_state) return _state;
 
-  _state = {
-    quizIndex: 0,
-    answers: {}, // { [questionId]: optionId | optionId[] }
-  };
-
-  persist();
+  _state = freezeState(emptyState());
   return _state;
 }
 
@@ -43,11 +115,35 @@ export function hydrateState() {
     if (!raw) return _state || initState();
     const parsed = JSON.parse(raw);
 
-    // Basic shape validation
-    _state = {
-      quizIndex: clampInt(parsed.quizIndex ?? 0, 0, 9999),
-      answers: typeof parsed.answers === "object" && parsed.answers ? parsed.answers : {},
-    };
+    // Basic shape validation; schema 1 had no question-set version, so
+    // syncQuestionSet() runs every migration over it. Before schema 3 the
+    // one answer set becomes the only profile.
+    const legacy = !(parsed.schema >= 2);
+    const active = readProfileData(parsed, legacy);
+
+    const profiles =
+      parsed.schema >= 3 && Array.isArray(parsed.profiles)
+        ? parsed.profiles.filter((p) => p && typeof p.id === "string").map(readProfileEntry)
+        : [];
+    let activeProfileId = profiles.some((p) => p.id === parsed.activeProfileId) ? parsed.activeProfileId : null;
+
+    if (!activeProfileId) {
+      const entry = newProfileEntry(DEFAULT_PROFILE_NAME);
+      profiles.unshift(entry);
+      activeProfileId = entry.id;
+    }
+
+    commit(
+      {
+        schema: STATE_SCHEMA,
+        ...active,
+        activeProfileId,
+        // The active profile's data is the top level, never parked
+        profiles: profiles.map((p) => (p.id === activeProfileId ? { ...p, data: null } : p)),
+        household: readHousehold(parsed.household, profiles),
+      },
+      { type: "hydrate" }
+    );
 
     return _state;
   } catch (_) {
@@ -57,34 +153,64 @@ export function hydrateState() {
 }
 
 /**
- * Access current state (read-only reference).
+ * Current state snapshot. Frozen: use the actions below to change it.
  */
 export function getState() {
   return _state || initState();
 }
 
 /**
- * Set a single-choice answer.
+ * Listen for state changes. Called after every action (already persisted)
+ * with (state, prevState, action), where action is { type, ...payload }.
+ *
+ * @param {(state: object, prev: object | null, action: {type: string}) => void} listener
+ * @returns {() => void} unsubscribe
  */
-export function setAnswer(questionId, optionId) {
-  const s = getState();
-  const qid = String(questionId || "").trim();
-  const oid = String(optionId || "").trim();
-  if (!qid || !oid) return;
+export function subscribe(listener) {
+  if (typeof listener !== "function") return () => {};
 
-  s.answers[qid] = oid;
+  _listeners.add(listener);
+  return () => _listeners.delete(listener);
+}
 
-  // Move quizIndex forward only if we're currently on this question
-  bumpIndexIfCurrent(qid);
+/* ==========================================================================
+   Actions
+   ========================================================================== */
 
-  persist();
+/**
+ * Set a single-value answer:
+ * - single: option id (string)
+ * - slider / numeric: finite number
+ */
+export function setAnswer(questionId, value) {
+  const qid = String(questionId || "").trim();
+  if (!qid) return;
+
+  let next;
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) return;
+    next = value;
+  } else {
+    next = String(value || "").trim();
+    if (!next) return;
+  }
+
+  const s = getState();
+  commit(
+    {
+      ...s,
+      answers: { ...s.answers, [qid]: next },
+      quizIndex: bumpedIndex(s, qid),
+      staleQuestions: withoutId(s.staleQuestions, qid),
+    },
+    { type: "answer", questionId: qid }
+  );
 }
 
 /**
- * Set a multi-choice answer array.
+ * Set a multi-choice answer array (or a ranking, most important first).
  */
 export function setManyAnswers(questionId, optionIds) {
-  const s = getState();
   const qid = String(questionId || "").trim();
   if (!qid) return;
 
@@ -94,148 +220,572 @@ export function setManyAnswers(questionId, optionIds) {
 
   // Ensure uniqueness
   const uniq = Array.from(new Set(arr));
-  s.answers[qid] = uniq;
 
-  bumpIndexIfCurrent(qid);
+  const s = getState();
+  commit(
+    {
+      ...s,
+      answers: { ...s.answers, [qid]: uniq },
+      quizIndex: bumpedIndex(s, qid),
+      staleQuestions: withoutId(s.staleQuestions, qid),
+    },
+    { type: "answer", questionId: qid }
+  );
+}
+
+/**
+ * Rate how much a priority matters and refresh the per-user weight vector.
+ */
+export function setPriority(priorityId, levelId) {
+  const pid = String(priorityId || "").trim();
+  const lid = String(levelId || "").trim();
+  if (!pid || !lid) return;
 
-  persist();
+  const s = getState();
+  const priorities = { ...(s.priorities || {}), [pid]: lid };
+
+  commit(
+    { ...s, priorities, weights: buildWeightsFromPriorities(priorities) },
+    { type: "priority", priorityId: pid, levelId: lid }
+  );
+}
+
+/**
+ * Switch between the full and adaptive quiz. Starts a fresh asked order.
+ */
+export function setQuizMode(mode) {
+  if (!QUIZ_MODES.includes(mode)) return;
+
+  commit({ ...getState(), quizMode: mode, askedOrder: [] }, { type: "quizMode", mode });
+}
+
+/**
+ * Remember which question is on screen (index into the question file).
+ */
+export function setQuizIndex(index) {
+  const s = getState();
+  const quizIndex = clampInt(index, 0, 9999);
+  if (s.quizIndex === quizIndex) return;
+
+  commit({ ...s, quizIndex }, { type: "quizIndex", index: quizIndex });
+}
+
+/**
+ * Adaptive mode: record which questions were asked, in order (for Back).
+ */
+export function setAskedOrder(questionIds) {
+  const askedOrder = Array.isArray(questionIds) ? questionIds.map(String).filter(Boolean) : [];
+
+  commit({ ...getState(), askedOrder }, { type: "askedOrder" });
 }
 
 /**
- * Reset quiz progress and clear answers.
+ * Bring stored answers up to the loaded question set (call once questions
+ * are loaded): run migrations from the version they were saved under,
+ * drop answers to removed questions, and mark answers that no longer fit
+ * as stale so the quiz asks them again. No-op when nothing changed.
+ *
+ * @returns {string[]} stale question ids
+ */
+export function syncQuestionSet() {
+  const s = getState();
+  const active = syncProfileData(s);
+
+  let changed = active.changed;
+  const profiles = s.profiles.map((p) => {
+    if (!p.data) return p;
+    const res = syncProfileData(p.data);
+    if (!res.changed) return p;
+    changed = true;
+    return { ...p, data: res.data };
+  });
+
+  if (!changed) return s.staleQuestions;
+
+  commit(
+    { ...s, ...active.data, profiles },
+    {
+      type: "migrate",
+      from: s.questionsVersion,
+      to: active.data.questionsVersion,
+      applied: active.applied,
+      stale: active.data.staleQuestions,
+    }
+  );
+
+  return _state.staleQuestions;
+}
+
+/**
+ * Reset quiz progress and clear answers of the active profile.
  */
 export function resetQuiz() {
-  _state = {
-    quizIndex: 0,
-    answers: {},
-  };
-  persist();
+  commit({ ...getState(), ...emptyProfileData() }, { type: "reset" });
   return _state;
 }
 
+/**
+ * Start a new, empty profile and make it active.
+ * @returns {string} profile id
+ */
+export function createProfile(name) {
+  const s = parkActive(getState());
+  const entry = newProfileEntry(name);
+
+  commit(
+    { ...s, ...emptyProfileData(), activeProfileId: entry.id, profiles: [...s.profiles, entry] },
+    { type: "profileCreate", profileId: entry.id }
+  );
+  return entry.id;
+}
+
+/**
+ * Copy a profile's answers into a new profile ("If we move to a house")
+ * and make the copy active.
+ * @returns {string | null} new profile id
+ */
+export function duplicateProfile(profileId, name) {
+  const source = selectSavedProfileData(getState(), profileId);
+  if (!source) return null;
+
+  const s = parkActive(getState());
+  const entry = newProfileEntry(name);
+
+  commit(
+    { ...s, ...cloneProfileData(source), activeProfileId: entry.id, profiles: [...s.profiles, entry] },
+    { type: "profileCreate", profileId: entry.id, from: profileId }
+  );
+  return entry.id;
+}
+
+export function renameProfile(profileId, name) {
+  const s = getState();
+  if (!s.profiles.some((p) => p.id === profileId)) return;
+
+  commit(
+    { ...s, profiles: s.profiles.map((p) => (p.id === profileId ? { ...p, name: profileName(name) } : p)) },
+    { type: "profileRename", profileId }
+  );
+}
+
+/**
+ * Make another profile active: park the current answers, unpark its own.
+ */
+export function switchProfile(profileId) {
+  const current = getState();
+  const target = current.profiles.find((p) => p.id === profileId);
+  if (!target || profileId === current.activeProfileId) return;
+
+  const s = parkActive(current);
+
+  commit(
+    {
+      ...s,
+      ...target.data,
+      activeProfileId: profileId,
+      profiles: s.profiles.map((p) => (p.id === profileId ? { ...p, data: null } : p)),
+    },
+    { type: "profileSwitch", profileId }
+  );
+}
+
+/**
+ * Delete a profile. The last one can't be deleted; deleting the active one
+ * switches to the first remaining profile.
+ */
+export function deleteProfile(profileId) {
+  const current = getState();
+  if (current.profiles.length <= 1 || !current.profiles.some((p) => p.id === profileId)) return;
+
+  if (profileId === current.activeProfileId) {
+    switchProfile(current.profiles.find((p) => p.id !== profileId).id);
+  }
+
+  const s = getState();
+  const memberIds = s.household.memberIds && withoutId(s.household.memberIds, profileId);
+
+  commit(
+    { ...s, profiles: s.profiles.filter((p) => p.id !== profileId), household: { ...s.household, memberIds } },
+    { type: "profileDelete", profileId }
+  );
+}
+
+/**
+ * Free-text notes on the active profile ("ask about the grey one in kennel 4"),
+ * kept with its answers and included in exports.
+ */
+export function setProfileNotes(text) {
+  const s = getState();
+  const notes = String(text ?? "").slice(0, MAX_NOTES);
+  if (notes === s.notes) return;
+
+  commit({ ...s, notes }, { type: "profileNotes" });
+}
+
+/**
+ * Add a profile read from an export file and make it active. Its answers
+ * are brought up to the loaded question set the same way stored ones are:
+ * migrations run, answers that no longer fit are asked again.
+ *
+ * @param {{ name: string, createdAt?: number | null, data: object }} imported
+ * @param {{ replaceId?: string | null }} [options]
+ *   replaceId - overwrite that profile's answers (it keeps its id and name)
+ * @returns {{ profileId: string, stale: string[] }}
+ */
+export function importProfile({ name, createdAt, data }, { replaceId = null } = {}) {
+  const read = readProfileData(data);
+  // Files carry ratings only; weights are rebuilt from this app's priorities
+  const weights = Object.keys(read.priorities).length ? buildWeightsFromPriorities(read.priorities) : null;
+  const next = syncProfileData({ ...read, weights }).data;
+
+  const s = parkActive(getState());
+  const target = replaceId ? s.profiles.find((p) => p.id === replaceId) : null;
+  const entry = target || { ...newProfileEntry(name), createdAt: createdAt ?? Date.now() };
+
+  commit(
+    {
+      ...s,
+      ...next,
+      activeProfileId: entry.id,
+      profiles: target
+        ? s.profiles.map((p) => (p.id === entry.id ? { ...p, data: null } : p))
+        : [...s.profiles, entry],
+    },
+    { type: "profileImport", profileId: entry.id, replaced: !!target }
+  );
+
+  return { profileId: entry.id, stale: next.staleQuestions };
+}
+
+/**
+ * Choose which saved profiles take part in household mode.
+ */
+export function setHouseholdMembers(profileIds) {
+  const s = getState();
+  const known = new Set(s.profiles.map((p) => p.id));
+  const memberIds = Array.from(new Set((profileIds || []).map(String))).filter((id) => known.has(id));
+
+  commit({ ...s, household: { ...s.household, memberIds } }, { type: "householdMembers" });
+}
+
+/**
+ * Pick how one trait is merged across members (see MERGE_POLICIES).
+ */
+export function setHouseholdPolicy(trait, policy) {
+  if (!TRAITS.includes(trait) || !MERGE_POLICIES.includes(policy)) return;
+
+  const s = getState();
+  commit(
+    { ...s, household: { ...s.household, policies: { ...s.household.policies, [trait]: policy } } },
+    { type: "householdPolicy", trait, policy }
+  );
+}
+
 /* ==========================================================================
-   User profile builder (traits + flags for rules)
+   Selectors
    ========================================================================== */
 
 /**
- * Build user profile used by matching:
- * - traits: T1..T10 (0..4 targets)
- * - flags: string[] (derived risks/conditions)
- * - answers: state.answers (raw)
- *
- * This function:
- * 1) Starts with neutral traits (2)
- * 2) Applies trait values encoded in question options
- * 3) Derives flags from certain selections (risk items, environment constraints)
+ * Questions whose showIf holds for the state's answers.
  */
-export function buildUserProfileFromState(state) {
-  const s = state || getState();
-  const questions = getQuestions() || [];
+export function selectVisibleQuestions(state) {
+  return memo(state, "visible", () => getVisibleQuestions(state.answers || {}));
+}
 
-  const traits = neutralTraits();
-  const flags = new Set();
-
-  // Apply answer-driven trait adjustments
-  for (const q of questions) {
-    const ans = s.answers?.[q.id];
-    if (!ans) continue;
-
-    if (q.type === "multi") {
-      const selected = Array.isArray(ans) ? ans : [];
-      for (const optId of selected) {
-        applyOption(q, optId, traits, flags);
-      }
-    } else {
-      applyOption(q, ans, traits, flags);
-    }
+/**
+ * Visible questions a data update invalidated that still need an answer.
+ */
+export function selectStaleQuestions(state) {
+  const answers = state.answers || {};
+  const stale = state.staleQuestions || [];
+  return selectVisibleQuestions(state).filter((q) => stale.includes(q.id) && answers[q.id] === undefined);
+}
+
+/**
+ * The question still waiting for an answer, or null.
+ * - stale answers (question set updated) come first, in any mode
+ * - full: first visible question without an answer
+ * - adaptive: the last asked question if it is still open (the quiz stops
+ *   early on purpose, so unasked questions don't count)
+ */
+export function selectOpenQuestion(state) {
+  const answers = state.answers || {};
+  const visible = selectVisibleQuestions(state);
+  const isOpen = (q) => answers[q.id] === undefined;
+
+  const stale = selectStaleQuestions(state);
+  if (stale.length > 0) return stale[0];
+
+  if (state.quizMode === "adaptive") {
+    const last = state.askedOrder[state.askedOrder.length - 1];
+    const q = visible.find((x) => x.id === last);
+    return q && isOpen(q) ? q : null;
   }
 
-  // Derive additional flags based on common logic
-  // Noise sensitive if user chose "barking" under tolerances
-  const tol = s.answers?.tolerances;
-  if (Array.isArray(tol) && tol.includes("barking")) flags.add("noise_sensitive");
-  if (Array.isArray(tol) && tol.includes("shedding")) flags.add("shedding_sensitive");
-  if (Array.isArray(tol) && tol.includes("grooming")) flags.add("grooming_sensitive");
+  return visible.find(isOpen) || null;
+}
 
-  // Stairs high mobility penalty (if selected)
-  if (s.answers?.stairs_elevator === "stairs_high") flags.add("stairs_high");
+/**
+ * Enough answers for results: nothing open, and (adaptive) at least one
+ * question answered.
+ */
+export function selectIsComplete(state) {
+  if (selectOpenQuestion(state)) return false;
+  return state.quizMode !== "adaptive" || Object.keys(state.answers || {}).length > 0;
+}
 
-  // Kids home
-  if (s.answers?.children === "kids_home") flags.add("kids_home");
+/**
+ * Position of the current question (state.quizIndex) for progress UI.
+ * - full: index among visible questions
+ * - adaptive: questions asked so far out of an upper bound (asked + still
+ *   unanswered) — the quiz usually stops well before it
+ *
+ * @returns {{ pos: number, total: number, answered: number }}
+ */
+export function selectProgress(state) {
+  return memo(state, "progress", () => {
+    const answers = state.answers || {};
+    const visible = selectVisibleQuestions(state);
+    const answered = visible.filter((q) => answers[q.id] !== undefined).length;
+
+    if (state.quizMode === "adaptive") {
+      const asked = state.askedOrder;
+      const open = visible.filter((q) => !asked.includes(q.id) && answers[q.id] === undefined);
+      return { pos: Math.max(0, asked.length - 1), total: asked.length + open.length, answered };
+    }
 
-  // Frequent guests
-  if (s.answers?.hosting === "guests_often") flags.add("frequent_guests");
+    const current = (getQuestions() || [])[state.quizIndex ?? 0];
+    return { pos: Math.max(0, visible.indexOf(current)), total: visible.length, answered };
+  });
+}
 
-  // Cat at home
-  const pets = s.answers?.other_pets;
-  if (Array.isArray(pets) && pets.includes("cat")) flags.add("cat_home");
+/**
+ * Matching profile (traits, flags, provenance…) for the state's answers.
+ * Memoized per snapshot, so repeated reads during one render are free.
+ */
+export function selectProfile(state) {
+  return memo(state, "profile", () => buildUserProfile(state.answers || {}, getQuestions() || []));
+}
 
-  // Alone-time high risk
-  if (s.answers?.alone_time === "alone_very_long") flags.add("high_alone_time");
+/**
+ * Saved profiles in creation order, for pickers and the compare view.
+ * @returns {Array<{ id: string, name: string, createdAt: number, active: boolean }>}
+ */
+export function selectSavedProfiles(state) {
+  return memo(state, "savedProfiles", () =>
+    (state.profiles || []).map((p) => ({
+      id: p.id,
+      name: p.name,
+      createdAt: p.createdAt,
+      active: p.id === state.activeProfileId,
+    }))
+  );
+}
 
-  // Training commitment flag (we don’t have a training question yet in v1 JSON,
-  // but this keeps logic forward-compatible if you add it later)
-  if (s.answers?.training_commitment === "low") flags.add("low_training_commitment");
+export function selectActiveSavedProfile(state) {
+  return selectSavedProfiles(state).find((p) => p.active) || null;
+}
 
-  // Clamp traits to 0..4
-  for (const k of Object.keys(traits)) {
-    traits[k] = clamp(traits[k], 0, 4);
-  }
+/**
+ * A profile's answer data (answers, priorities, weights, quiz mode…) — the
+ * same fields the other selectors read, so e.g.
+ * selectIsComplete(selectSavedProfileData(state, id)) works for any profile.
+ */
+export function selectSavedProfileData(state, profileId) {
+  if (profileId === state.activeProfileId) return memo(state, "activeData", () => pickProfileData(state));
+  return (state.profiles || []).find((p) => p.id === profileId)?.data || null;
+}
 
-  return {
-    traits,
-    flags: Array.from(flags),
-    answers: s.answers || {},
-  };
+/**
+ * Household mode setup: the member profiles (with their data) and the
+ * chosen merge policies. Until members are picked, every profile takes part.
+ *
+ * @returns {{ members: Array<{ id: string, name: string, data: object }>, policies: {[trait:string]: string} }}
+ */
+export function selectHousehold(state) {
+  return memo(state, "household", () => {
+    const { memberIds, policies } = state.household || {};
+    const saved = selectSavedProfiles(state).filter((p) => !memberIds || memberIds.includes(p.id));
+
+    return {
+      members: saved.map((p) => ({ id: p.id, name: p.name, data: selectSavedProfileData(state, p.id) })),
+      policies: policies || {},
+    };
+  });
+}
+
+/**
+ * Build the matching profile for the given (or current) state.
+ * Kept for existing callers; same as selectProfile.
+ */
+export function buildUserProfileFromState(state) {
+  return selectProfile(state || getState());
 }
 
 /* ==========================================================================
    Internals
    ========================================================================== */
 
-function applyOption(question, optionId, traits, flags) {
-  const opt = (question.options || []).find((o) => o.id === optionId);
-  if (!opt) return;
+function emptyState() {
+  const entry = newProfileEntry(DEFAULT_PROFILE_NAME);
+  return {
+    schema: STATE_SCHEMA,
+    ...emptyProfileData(),
+    activeProfileId: entry.id,
+    profiles: [entry], // [{ id, name, createdAt, data }] — data null while active
+    household: emptyHousehold(),
+  };
+}
 
-  const t = opt.traits || {};
+function emptyProfileData() {
+  return {
+    questionsVersion: getQuestionsMeta().version ?? null, // question set the answers belong to
+    quizIndex: 0,
+    answers: {}, // { [questionId]: optionId | optionId[] | number }
+    priorities: {}, // { [priorityId]: levelId }
+    weights: null, // per-user trait weights (null = DEFAULT_WEIGHTS)
+    quizMode: "full",
+    askedOrder: [], // adaptive mode: question ids in the order they were asked
+    staleQuestions: [], // answers invalidated by a question-set update, to ask again
+    notes: "", // free text, e.g. for the shelter visit
+  };
+}
 
-  // Apply trait values (direct targets) for T1..T10 if present
-  for (const [k, v] of Object.entries(t)) {
-    if (k.startsWith("T")) {
-      traits[k] = clamp(Number(v), 0, 4);
-    }
-  }
+function emptyHousehold() {
+  return {
+    memberIds: null, // profile ids taking part (null = all profiles)
+    policies: {}, // { [trait]: merge policy } overrides of DEFAULT_MERGE_POLICIES
+  };
+}
+
+function readHousehold(raw, profiles) {
+  if (!isPlainObject(raw)) return emptyHousehold();
+
+  const known = new Set(profiles.map((p) => p.id));
+  const policies = isPlainObject(raw.policies) ? raw.policies : {};
 
-  // Pull risk codes into flags if present
-  if (t.risk) flags.add(String(t.risk));
-  if (t.mobility_penalty) flags.add("stairs_high");
+  return {
+    memberIds: Array.isArray(raw.memberIds) ? raw.memberIds.filter((id) => known.has(id)) : null,
+    policies: Object.fromEntries(
+      Object.entries(policies).filter(([k, v]) => TRAITS.includes(k) && MERGE_POLICIES.includes(v))
+    ),
+  };
 }
 
-function neutralTraits() {
+/**
+ * Shape-check one answer set (top level of older saves, or parked data).
+ * legacy: saved before question-set versions were recorded.
+ */
+function readProfileData(raw, legacy = false) {
+  const d = isPlainObject(raw) ? raw : {};
   return {
-    T1: 2,
-    T2: 2,
-    T3: 2,
-    T4: 2,
-    T5: 2,
-    T6: 2,
-    T7: 2,
-    T8: 2,
-    T9: 2,
-    T10: 2,
+    questionsVersion: !legacy && typeof d.questionsVersion === "string" ? d.questionsVersion : null,
+    quizIndex: clampInt(d.quizIndex ?? 0, 0, 9999),
+    answers: isPlainObject(d.answers) ? d.answers : {},
+    priorities: isPlainObject(d.priorities) ? d.priorities : {},
+    weights: isPlainObject(d.weights) ? d.weights : null,
+    quizMode: QUIZ_MODES.includes(d.quizMode) ? d.quizMode : "full",
+    askedOrder: Array.isArray(d.askedOrder) ? d.askedOrder.map(String) : [],
+    staleQuestions: Array.isArray(d.staleQuestions) ? d.staleQuestions.map(String) : [],
+    notes: typeof d.notes === "string" ? d.notes.slice(0, MAX_NOTES) : "",
   };
 }
 
-function bumpIndexIfCurrent(questionId) {
-  const s = getState();
+function readProfileEntry(p) {
+  return {
+    id: p.id,
+    name: profileName(p.name),
+    createdAt: Number.isFinite(p.createdAt) ? p.createdAt : 0,
+    data: isPlainObject(p.data) ? readProfileData(p.data) : null,
+  };
+}
+
+function newProfileEntry(name) {
+  return {
+    id: `p_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: profileName(name),
+    createdAt: Date.now(),
+    data: null,
+  };
+}
+
+function profileName(name) {
+  const n = String(name ?? "").trim().slice(0, MAX_PROFILE_NAME);
+  return n || DEFAULT_PROFILE_NAME;
+}
+
+function pickProfileData(s) {
+  return Object.fromEntries(PROFILE_FIELDS.map((k) => [k, s[k]]));
+}
+
+// Fresh containers so a duplicate never shares (frozen) arrays with its source
+function cloneProfileData(d) {
+  return JSON.parse(JSON.stringify(pickProfileData(d)));
+}
+
+// Copy the active profile's top-level data into its entry
+function parkActive(s) {
+  return {
+    ...s,
+    profiles: s.profiles.map((p) => (p.id === s.activeProfileId ? { ...p, data: pickProfileData(s) } : p)),
+  };
+}
+
+/**
+ * syncQuestionSet() for one answer set.
+ * @returns {{ data: object, changed: boolean, applied: string[] }}
+ */
+function syncProfileData(d) {
   const questions = getQuestions() || [];
-  const idx = questions.findIndex((q) => q.id === questionId);
-  if (idx === -1) return;
+  const version = getQuestionsMeta().version ?? null;
+
+  const migrated =
+    d.questionsVersion === version
+      ? { answers: d.answers, reset: [], applied: [] }
+      : migrateAnswers(d.answers, d.questionsVersion, version);
+
+  const { invalid, orphaned } = findInvalidAnswers(migrated.answers, questions);
+  const dropped = new Set([...invalid, ...orphaned]);
+
+  if (d.questionsVersion === version && dropped.size === 0) return { data: d, changed: false, applied: [] };
 
-  // If user answered the currently shown question, keep quizIndex at least here
-  if ((s.quizIndex ?? 0) < idx) s.quizIndex = idx;
+  const answers = Object.fromEntries(Object.entries(migrated.answers).filter(([qid]) => !dropped.has(qid)));
+  const known = (id) => questions.some((q) => q.id === id);
+  const staleQuestions = Array.from(new Set([...d.staleQuestions, ...migrated.reset, ...invalid])).filter(
+    (id) => known(id) && answers[id] === undefined
+  );
 
-  // For completed questions, we don't auto-advance index here; the quiz screen controls flow.
+  return {
+    data: { ...d, questionsVersion: version, answers, staleQuestions, askedOrder: d.askedOrder.filter(known) },
+    changed: true,
+    applied: migrated.applied,
+  };
+}
+
+/**
+ * If the user answered a question past the stored position, keep quizIndex
+ * at least there. The quiz screen controls the actual flow.
+ */
+function bumpedIndex(s, questionId) {
+  const idx = (getQuestions() || []).findIndex((q) => q.id === questionId);
+  return idx > (s.quizIndex ?? 0) ? idx : s.quizIndex;
+}
+
+/**
+ * The only way state changes: swap in the next snapshot, persist, notify.
+ */
+function commit(next, action) {
+  const prev = _state;
+  _state = freezeState(next);
+  persist();
+
+  for (const listener of Array.from(_listeners)) {
+    try {
+      listener(_state, prev, action);
+    } catch (err) {
+      console.error("State listener failed:", err);
+    }
+  }
 }
 
 function persist() {
@@ -247,8 +797,48 @@ function persist() {
   }
 }
 
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
+// Snapshot + the containers screens read from; answers arrays included.
+// Parked profile data is frozen the same way.
+function freezeState(s) {
+  freezeProfileData(s);
+  for (const p of s.profiles || []) {
+    if (p.data) Object.freeze(freezeProfileData(p.data));
+    Object.freeze(p);
+  }
+  if (s.profiles) Object.freeze(s.profiles);
+  if (s.household) {
+    if (s.household.memberIds) Object.freeze(s.household.memberIds);
+    Object.freeze(s.household.policies);
+    Object.freeze(s.household);
+  }
+  return Object.freeze(s);
+}
+
+function freezeProfileData(d) {
+  for (const v of Object.values(d.answers || {})) {
+    if (Array.isArray(v)) Object.freeze(v);
+  }
+  for (const key of ["answers", "priorities", "weights", "askedOrder", "staleQuestions"]) {
+    if (d[key]) Object.freeze(d[key]);
+  }
+  return d;
+}
+
+// Derived values cached per (immutable) snapshot
+const _memo = new WeakMap();
+function memo(state, key, compute) {
+  let cache = _memo.get(state);
+  if (!cache) _memo.set(state, (cache = {}));
+  if (!(key in cache)) cache[key] = compute();
+  return cache[key];
+}
+
+function withoutId(ids, id) {
+  return (ids || []).includes(id) ? ids.filter((x) => x !== id) : ids || [];
+}
+
+function isPlainObject(v) {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
 }
 
 function clampInt(v, min, max) {